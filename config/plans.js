@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PLANS_PATH = process.env.PLANS_CONFIG || path.join(__dirname, "plans.json");
+
+export const PLAN_FEATURES = ["askGuide", "personalized", "addCities"];
+
+/**
+ * `price`/`tokens` describe the one-off token pack; the optional
+ * `subscription: { price, tokens }` is the monthly price and the allowance
+ * each billing period refills.
+ *
+ * Checks the catalog once at startup so a bad config fails loudly instead
+ * of locking users out of features. A "free" plan is required: it is what
+ * users fall back to when their tokens run out.
+ */
+function validateCatalog(catalog) {
+  const errors = [];
+  const plans = Array.isArray(catalog?.plans) ? catalog.plans : [];
+  if (!catalog?.currency || typeof catalog.currency !== "string") {
+    errors.push("currency must be a currency code");
+  }
+  if (!plans.length) {
+    errors.push("plans must be a non-empty array");
+  }
+
+  const seen = { id: new Set(), rank: new Set(), price: new Set() };
+  plans.forEach((plan, index) => {
+    const label = `plans[${index}]`;
+    if (!plan?.id || typeof plan.id !== "string") errors.push(`${label}.id is required`);
+    if (!Number.isInteger(plan?.rank) || plan.rank < 0) {
+      errors.push(`${label}.rank must be a non-negative integer`);
+    }
+    if (plan?.price !== null && !(typeof plan?.price === "number" && plan.price > 0)) {
+      errors.push(`${label}.price must be a positive number or null`);
+    }
+    if (!Number.isInteger(plan?.tokens) || plan.tokens < 0) {
+      errors.push(`${label}.tokens must be a non-negative integer`);
+    }
+    if (plan?.subscription !== undefined) {
+      const { price, tokens } = plan.subscription || {};
+      if (!(typeof price === "number" && price > 0)) {
+        errors.push(`${label}.subscription.price must be a positive number`);
+      }
+      if (!Number.isInteger(tokens) || tokens <= 0) {
+        errors.push(`${label}.subscription.tokens must be a positive integer`);
+      }
+    }
+    for (const feature of PLAN_FEATURES) {
+      if (typeof plan?.features?.[feature] !== "boolean") {
+        errors.push(`${label}.features.${feature} must be true or false`);
+      }
+    }
+    for (const key of ["id", "rank", "price"]) {
+      if (plan?.[key] === null || plan?.[key] === undefined) continue;
+      if (seen[key].has(plan[key])) errors.push(`${label}.${key} ${plan[key]} is used twice`);
+      seen[key].add(plan[key]);
+    }
+  });
+  if (plans.length && !seen.id.has("free")) {
+    errors.push('a plan with id "free" is required');
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid plan catalog ${PLANS_PATH}: ${errors.join("; ")}`);
+  }
+  return catalog;
+}
+
+const catalog = validateCatalog(JSON.parse(fs.readFileSync(PLANS_PATH, "utf8")));
+
+export const PLAN_CURRENCY = catalog.currency;
+export const PLANS = catalog.plans;
+export const PLAN_RANK = Object.fromEntries(PLANS.map((plan) => [plan.id, plan.rank]));
+
+export function getPlan(planId) {
+  return PLANS.find((plan) => plan.id === planId) || null;
+}
+
+/**
+ * The purchasable plan sold at `amount`, or null.
+ */
+export function planForPrice(amount) {
+  return PLANS.find((plan) => plan.price !== null && plan.price === amount) || null;
+}
+
+/**
+ * Unknown plans get no features.
+ */
+export function planAllows(planId, feature) {
+  return getPlan(planId)?.features?.[feature] === true;
+}
+
+export function publicPlans() {
+  return {
+    currency: PLAN_CURRENCY,
+    plans: [...PLANS]
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ id, name, rank, price, tokens, subscription, features }) => ({
+        id,
+        name: name || id,
+        rank,
+        price,
+        tokens,
+        subscription: subscription ? { ...subscription, interval: "month" } : null,
+        features: { ...features },
+        purchasable: price !== null
+      }))
+  };
+}
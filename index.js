@@ -4,23 +4,103 @@ import cors from "cors";
 import dotenv from "dotenv";
 import OpenAI from "openai";
 import { addCityIfMissing } from "./utils/addCityToCountry.js";
-import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import crypto from "crypto";
-import nodemailer from "nodemailer";
 import { requireAuth } from "./middleware/auth.js";
-import { registerWebhookRoutes } from "./routes/webhook.js";
+import {
+  rateLimit,
+  sendTooManyRequests,
+  loginLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures
+} from "./middleware/rateLimit.js";
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  sessionMetaFromRequest
+} from "./utils/sessions.js";
+import { buildClientUrl, buildPublicApiBase } from "./utils/urls.js";
+import {
+  isTwoFactorEnabled,
+  signLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor
+} from "./utils/twoFactor.js";
+import { mailTransport, SMTP_FROM } from "./utils/mail.js";
+import { issuePasswordReset, resetPassword } from "./utils/passwordReset.js";
+import { registerPaymentRoutes } from "./routes/payments.js";
+import { registerAdminCountryRoutes } from "./routes/adminCountries.js";
+import {
+  normalizeName,
+  normalizeKey,
+  normalizeEmail,
+  normalizeUserName
+} from "./utils/normalize.js";
+import { storage } from "./storage/index.js";
+import {
+  syncUserBalance,
+  reserveToken,
+  commitReservation,
+  releaseReservation
+} from "./utils/tokenBalance.js";
+import { planAllows } from "./config/plans.js";
+import { registerAccountRoutes } from "./routes/account.js";
+import { registerPlanRoutes } from "./routes/plans.js";
+import { startRenewalSchedule } from "./payments/subscriptions.js";
+import { registerAdminUserRoutes } from "./routes/adminUsers.js";
+import { registerAdminPromoCodeRoutes } from "./routes/adminPromoCodes.js";
+import { searchPlaces, SEARCH_SECTIONS } from "./utils/searchIndex.js";
+import {
+  resolveCountryFile,
+  getCountryFile,
+  readCountryForUpdate,
+  updateCountryFile,
+  listCountries,
+  getCountryFileForLevel,
+  countryFileForLevel,
+  parseCountryFileName,
+  normalizeLevel,
+  DEFAULT_LEVEL,
+  localizeCountryEntry,
+  findCityTranslation,
+  sortCities
+} from "./utils/countryRepository.js";
+import { CITY_SCHEMA_PROMPT, validateCity, repairCity } from "./utils/citySchema.js";
+import { negotiateLocale, languageInstruction, DEFAULT_LOCALE } from "./utils/locales.js";
+import { translateCity, translateCityInFile } from "./utils/cityTranslation.js";
+import { revisionMetaFromRequest } from "./utils/countryRevisions.js";
+import {
+  isModerationEnabled,
+  createPendingCity,
+  findPendingCity,
+  savePendingTranslation
+} from "./utils/pendingCities.js";
+import { registerPendingCityRoutes } from "./routes/pendingCities.js";
 
 dotenv.config();
 
 const app = express();
 app.set("trust proxy", 1);
-app.use(cors());
-app.use(express.json({ limit: "1mb" }));
-registerWebhookRoutes(app);
+app.use(cors({ exposedHeaders: ["Content-Level", "Content-Language"] }));
+app.use(
+  express.json({
+    limit: "1mb",
+    // Payment webhook signatures are checked against the exact bytes received.
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  })
+);
+registerPaymentRoutes(app);
+registerPlanRoutes(app);
+registerAdminCountryRoutes(app);
+registerPendingCityRoutes(app);
+registerAccountRoutes(app);
+registerAdminUserRoutes(app);
+registerAdminPromoCodeRoutes(app);
 
 app.get("/", (req, res) => {
   res.json({
@@ -30,55 +110,26 @@ app.get("/", (req, res) => {
   });
 });
 
+// OpenAI-backed routes are limited per user on top of their token cost.
+const aiRateLimit = rateLimit("ai", { by: "user" });
+
 const client = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const DATA_DIR = path.join(__dirname, "data");
-const COUNTRIES_DIR = path.join(DATA_DIR, "countries");
-const USERS_PATH = path.join(DATA_DIR, "users.json");
-const PENDING_USERS_PATH = path.join(DATA_DIR, "pending_users.json");
 const cityGeoCache = new Map();
-const smtpPort = Number(process.env.SMTP_PORT || 587);
-const mailTransport = process.env.SMTP_HOST
-  ? nodemailer.createTransport({
-      host: process.env.SMTP_HOST || "smtp.gmail.com",
-      port: smtpPort,
-      secure: smtpPort === 465,
-      auth: process.env.SMTP_USER
-        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
-        : undefined
-    })
-  : null;
-const SMTP_FROM = process.env.SMTP_FROM || process.env.SMTP_USER || "";
 const PENDING_SIGNUP_TTL_MS = Number(process.env.PENDING_SIGNUP_TTL_MS || 24 * 60 * 60 * 1000);
 const PENDING_RESEND_MIN_INTERVAL_MS = Number(
   process.env.PENDING_RESEND_MIN_INTERVAL_MS || 60 * 1000
 );
 
 
-function normalizeName(value) {
-  return value
-    ? value
-        .toLowerCase()
-        .normalize("NFD")
-        .replace(/[\u0300-\u036f]/g, "")
-    : "";
-}
-
-function normalizeKey(value) {
-  return normalizeName(value).replace(/\s+/g, "");
-}
-
 async function cityExistsInFile(fileName, cityName) {
   const resolved = resolveCountryFile(fileName);
   if (resolved.error) return null;
 
-  const raw = await fs.promises.readFile(resolved.path, "utf8");
-  const parsed = JSON.parse(raw);
-  const cities = Array.isArray(parsed?.cities) ? parsed.cities : [];
+  const { data } = await getCountryFile(fileName);
+  const cities = Array.isArray(data?.cities) ? data.cities : [];
   const target = normalizeName(cityName);
 
   return cities.find((entry) => normalizeName(entry?.name) === target) || null;
@@ -100,47 +151,46 @@ const COUNTRY_ALIASES = {
   "unitedkingdomofgreatbritainandnorthernireland": "United Kingdom"
 };
 
-function resolveCountryAlias(input) {
-  const key = normalizeKey(input);
-  return COUNTRY_ALIASES[key] || input;
+function parseLevelParam(value) {
+  if (value === undefined || value === "") return undefined;
+  return normalizeLevel(value);
 }
 
-async function readJsonFile(filePath, fallback) {
-  try {
-    const raw = await fs.promises.readFile(filePath, "utf8");
-    return JSON.parse(raw);
-  } catch (err) {
-    if (err.code === "ENOENT") return fallback;
+async function findCityForLevel(fileName, cityName, level) {
+  const notFound = (err) => {
+    if (err.status === 404) return null;
     throw err;
-  }
-}
-
-async function writeJsonFile(filePath, data) {
-  await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2), "utf8");
-}
+  };
 
-function normalizeEmail(value) {
-  return String(value || "").trim().toLowerCase();
-}
+  if (level && level !== DEFAULT_LEVEL) {
+    const levelFile = countryFileForLevel(fileName, level);
+    const city = await cityExistsInFile(levelFile, cityName).catch(notFound);
+    if (city) return { city, level, file: levelFile };
+  }
+  if (level) {
+    fileName = countryFileForLevel(fileName, DEFAULT_LEVEL);
+  }
 
-function normalizeUserName(value) {
-  return normalizeName(String(value || "").trim()).replace(/\s+/g, " ");
+  const city = await cityExistsInFile(fileName, cityName);
+  if (!city) return null;
+  return { city, level: parseCountryFileName(fileName)?.level || DEFAULT_LEVEL, file: fileName };
 }
 
-function buildClientUrl(req, pathname) {
-  const base = process.env.CLIENT_URL || `${req.protocol}://${req.get("host")}`;
-  return new URL(pathname, base).toString();
+function sendCachedJson(req, res, { body, etag, lastModified }) {
+  res.set({
+    ETag: etag,
+    "Last-Modified": lastModified.toUTCString(),
+    "Cache-Control": "no-cache"
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  return res.type("application/json").send(body);
 }
 
-function buildPublicApiBase(req) {
-  const rawBase =
-    process.env.PUBLIC_API_URL ||
-    process.env.API_URL ||
-    process.env.RENDER_EXTERNAL_URL ||
-    `${req.protocol}://${req.get("host")}`;
-  const value = String(rawBase || "").trim();
-  const withProtocol = /^https?:\/\//i.test(value) ? value : `https://${value}`;
-  return withProtocol.replace(/\/+$/, "");
+function resolveCountryAlias(input) {
+  const key = normalizeKey(input);
+  return COUNTRY_ALIASES[key] || input;
 }
 
 function buildConfirmUrl(req, token) {
@@ -180,17 +230,59 @@ async function sendSignupEmail(to, confirmUrl) {
   return info;
 }
 
-function resolveCountryFile(fileName) {
-  if (!fileName || !fileName.endsWith(".json")) {
-    return { error: "Invalid file name." };
+async function sendPasswordResetEmail(to, resetUrl) {
+  if (!mailTransport) {
+    throw new Error("Email transport is not configured.");
   }
+  if (!SMTP_FROM) {
+    throw new Error("SMTP_FROM is not configured.");
+  }
+  const info = await mailTransport.sendMail({
+    from: SMTP_FROM,
+    to,
+    subject: "Reset your password",
+    text: `You can set a new password by opening this link: ${resetUrl}\nIf you did not ask for this, you can ignore this email.`,
+    html: `<p>You can set a new password by clicking the link below:</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not ask for this, you can ignore this email.</p>`
+  });
+  console.log("✅ Password reset email sent", { to, messageId: info?.messageId });
+  return info;
+}
 
-  const resolvedPath = path.resolve(COUNTRIES_DIR, fileName);
-  if (!resolvedPath.startsWith(COUNTRIES_DIR + path.sep)) {
-    return { error: "Invalid file path." };
+function parseFieldsParam(value) {
+  if (!value) return null;
+  const fields = String(value)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  if (!fields.length) return null;
+  if (fields.some((field) => !/^[\w& -]+(\.[\w& -]+)*$/.test(field))) {
+    return { error: "Invalid fields parameter." };
   }
+  return { fields };
+}
 
-  return { path: resolvedPath };
+function projectFields(source, fields) {
+  const result = { name: source?.name };
+  for (const field of fields) {
+    const keys = field.split(".");
+    let value = source;
+    for (const key of keys) {
+      if (!value || typeof value !== "object" || !Object.hasOwn(value, key)) {
+        value = undefined;
+        break;
+      }
+      value = value[key];
+    }
+    if (value === undefined) continue;
+
+    let target = result;
+    keys.slice(0, -1).forEach((key) => {
+      if (!target[key] || typeof target[key] !== "object") target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  }
+  return result;
 }
 
 async function resolveCountryForCity(city) {
@@ -219,35 +311,121 @@ async function findCountryFileByName(countryName) {
   const aliased = resolveCountryAlias(countryName);
   const normalizedTarget = normalizeName(aliased);
   const targetKey = normalizeKey(aliased);
-  const files = await fs.promises.readdir(COUNTRIES_DIR);
+  const { countries } = await listCountries();
 
-  for (const file of files) {
-    if (!file.endsWith(".json")) continue;
-    try {
-      const fullPath = path.join(COUNTRIES_DIR, file);
-      const raw = await fs.promises.readFile(fullPath, "utf8");
-      const parsed = JSON.parse(raw);
-      const name = parsed?.name || "";
-      if (!name) continue;
+  for (const { file, name } of countries) {
+    const normalizedName = normalizeName(name);
+    if (normalizedName === normalizedTarget) {
+      return { file, country: name };
+    }
 
-      const normalizedName = normalizeName(name);
-      if (normalizedName === normalizedTarget) {
-        return { file, country: name };
-      }
+    const normalizedNameKey = normalizeKey(name);
+    if (normalizedNameKey && normalizedNameKey === targetKey) {
+      return { file, country: name };
+    }
+  }
+
+  return null;
+}
+
+const CITY_GENERATION_ATTEMPTS = Number(process.env.CITY_GENERATION_ATTEMPTS || 2);
+
+const LEVEL_PROMPTS = {
+  easy: "First-time visitors: iconic, easy-to-reach sights, simple logistics, well-known food.",
+  medium:
+    "Returning travellers who know the main sights: mix landmarks with neighbourhood spots, day trips and local routines.",
+  expert:
+    "Seasoned travellers: favour lesser-known places, local-only venues, off-season ideas and practical insider detail; avoid the obvious top sights."
+};
+
+async function requestCityFromModel(city, country, level, previousErrors) {
+  const input = [
+    {
+      role: "system",
+      content: `
+You are City Tour Guide AI. Reply with JSON only (no markdown/comments).
+City: ${city}
+Country: ${country}
+Audience: ${LEVEL_PROMPTS[level] || LEVEL_PROMPTS[DEFAULT_LEVEL]}
+
+Schema:
+${CITY_SCHEMA_PROMPT}
+
+Rules: interests is an object; use Google Maps search URLs; keep descriptions concise; full_day may include short <a> links and emojis.
+`
+    }
+  ];
+
+  if (previousErrors?.length) {
+    input.push({
+      role: "user",
+      content: `Your previous answer did not match the schema:\n${previousErrors
+        .slice(0, 20)
+        .map((error) => `- ${error.path}: ${error.message}`)
+        .join("\n")}\nReturn the complete city JSON again.`
+    });
+  }
+
+  const response = await client.responses.create({
+    model: "gpt-4.1-nano",
+    max_output_tokens: 1500,
+    text: {
+      format: { type: "json_object" }
+    },
+    input
+  });
+
+  return response.output?.[0]?.content?.[0]?.text || "";
+}
 
-      const normalizedNameKey = normalizeKey(name);
-      if (normalizedNameKey && normalizedNameKey === targetKey) {
-        return { file, country: name };
+async function generateValidCity(city, country, level) {
+  const attempts = [];
+  let previousErrors = null;
+
+  for (let attempt = 1; attempt <= CITY_GENERATION_ATTEMPTS; attempt += 1) {
+    const jsonText = await requestCityFromModel(city, country, level, previousErrors);
+
+    let candidate;
+    try {
+      candidate = JSON.parse(jsonText);
+    } catch {
+      previousErrors = [{ path: "", message: "response is not valid JSON" }];
+      attempts.push({ attempt, errors: previousErrors, repairs: [] });
+      continue;
+    }
+
+    const name =
+      normalizeName(candidate?.name) === normalizeName(city) ? String(candidate.name) : city;
+    const { city: repaired, repairs } = repairCity(candidate, { name });
+    const { valid, errors } = validateCity(repaired);
+    if (valid) {
+      if (repairs.length) {
+        console.warn(`Repaired AI city response for ${city}`, repairs);
       }
-    } catch (err) {
-      console.error(`Failed to load country file: ${file}`);
+      return repaired;
     }
+
+    previousErrors = errors;
+    attempts.push({ attempt, errors, repairs });
   }
 
-  return null;
+  const err = new Error("AI response failed city schema validation.");
+  err.status = 502;
+  err.details = { city, country, level, attempts };
+  throw err;
 }
 
-async function generateCityInFile(fileName, city, fallbackCountry) {
+/**
+ * Generates a missing city into its country file. With `draftFor` set
+ * (moderation mode) the city is stored as a pending draft of that user
+ * instead and the country file is left untouched.
+ */
+async function generateCityInFile(
+  fileName,
+  city,
+  fallbackCountry,
+  { level, revision, draftFor } = {}
+) {
   const resolved = resolveCountryFile(fileName);
   if (resolved.error) {
     const err = new Error(resolved.error);
@@ -255,8 +433,16 @@ async function generateCityInFile(fileName, city, fallbackCountry) {
     throw err;
   }
 
-  const raw = await fs.promises.readFile(resolved.path, "utf8");
-  const parsed = JSON.parse(raw);
+  const targetFile = level ? countryFileForLevel(fileName, level) : fileName;
+  const targetLevel = parseCountryFileName(targetFile)?.level || DEFAULT_LEVEL;
+  let parsed;
+  try {
+    parsed = await readCountryForUpdate(targetFile);
+  } catch (err) {
+    if (err.status !== 404 || targetFile === fileName) throw err;
+    const { data } = await getCountryFile(fileName);
+    parsed = { name: data?.name || fallbackCountry || "", cities: [] };
+  }
   parsed.cities = Array.isArray(parsed.cities) ? parsed.cities : [];
 
   const trimmedCity = city.trim();
@@ -271,71 +457,80 @@ async function generateCityInFile(fileName, city, fallbackCountry) {
   );
 
   if (existing) {
-    return { created: false, city: existing.name, country: parsed.name, file: fileName };
+    return {
+      created: false,
+      city: existing.name,
+      country: parsed.name,
+      file: targetFile,
+      level: targetLevel
+    };
+  }
+
+  if (draftFor) {
+    const draft = await findPendingCity(targetFile, trimmedCity, draftFor.userId);
+    if (draft) {
+      return pendingResult(draft, false);
+    }
   }
 
   const promptCountry = parsed?.name || fallbackCountry || "";
-  const response = await client.responses.create({
-    model: "gpt-4.1-nano",
-    max_output_tokens: 1500,
-    text: {
-      format: { type: "json_object" }
+  const cityJSON = await generateValidCity(trimmedCity, promptCountry, targetLevel);
+
+  if (draftFor) {
+    const draft = await createPendingCity({
+      file: targetFile,
+      level: targetLevel,
+      country: parsed.name,
+      city: cityJSON,
+      requestedBy: draftFor,
+      route: revision?.route || ""
+    });
+    return pendingResult(draft, true);
+  }
+
+  // The file is read again under its lock: another request may have added
+  // the city, or changed something else, while this one was generating.
+  let added = null;
+  const written = await updateCountryFile(
+    targetFile,
+    (data) => {
+      data.cities = Array.isArray(data.cities) ? data.cities : [];
+      added = data.cities.find((entry) => normalizeName(entry?.name) === normalizedCity);
+      if (added) return false;
+      added = cityJSON;
+      data.cities.push(cityJSON);
+      sortCities(data.cities);
     },
-    input: [
-      {
-        role: "system",
-        content: `
-You are City Tour Guide AI. Reply with JSON only (no markdown/comments).
-City: ${trimmedCity}
-Country: ${promptCountry}
+    revision,
+    { initial: () => ({ name: parsed.name, cities: [] }) }
+  );
 
-Schema:
-{
-  "name": "",
-  "interests": {
-    "Art & Culture": [{ "name": "", "map_link": "", "description": "" }],
-    "Photo Spots": [{ "name": "", "map_link": "", "description": "" }],
-    "Food & Nightlife": [{ "name": "", "map_link": "", "description": "" }],
-    "Nature & Relaxation": [{ "name": "", "map_link": "", "description": "" }]
-  },
-  "local_food_tip": "",
-  "full_day": { "Morning": "", "Afternoon": "", "Sunset": "", "Night": "" },
-  "seasons": {
-    "spring": { "main_event": "", "description": "", "ideas": [{ "name": "", "map_link": "", "description": "" }] },
-    "summer": { "main_event": "", "description": "", "ideas": [{ "name": "", "map_link": "", "description": "" }] },
-    "autumn": { "main_event": "", "description": "", "ideas": [{ "name": "", "map_link": "", "description": "" }] },
-    "winter": { "main_event": "", "description": "", "ideas": [{ "name": "", "map_link": "", "description": "" }] }
-  },
-  "public_transport_tips": [{ "tip": "", "link": "" }],
-  "city_events": [{ "name": "", "season": "", "description": "", "website": "", "dates": "" }],
-  "places": [{ "name": "", "map_link": "", "description": "" }],
-  "hidden_gems": [{ "name": "", "map_link": "", "description": "" }]
+  return {
+    created: added === cityJSON,
+    city: added.name,
+    country: written.name,
+    file: targetFile,
+    level: targetLevel
+  };
 }
 
-Rules: interests is an object; use Google Maps search URLs; keep descriptions concise; full_day may include short <a> links and emojis.
-`
-      }
-    ]
-  });
-
-  const jsonText = response.output?.[0]?.content?.[0]?.text || "";
-  const cityJSON = JSON.parse(jsonText);
-
-  if (!cityJSON?.name) {
-    const err = new Error("Invalid AI response.");
-    err.status = 500;
-    throw err;
-  }
-  if (normalizeName(cityJSON.name) !== normalizeName(trimmedCity)) {
-    cityJSON.name = trimmedCity;
-  }
-
-  parsed.cities.push(cityJSON);
-  parsed.cities.sort((a, b) => String(a.name).localeCompare(String(b.name)));
-
-  await fs.promises.writeFile(resolved.path, JSON.stringify(parsed, null, 2), "utf8");
+function pendingResult(draft, created) {
+  return {
+    created,
+    pending: true,
+    pendingId: draft.id,
+    city: draft.city.name,
+    country: draft.country,
+    file: draft.file,
+    level: draft.level,
+    draft: draft.city,
+    translations: draft.translations
+  };
+}
 
-  return { created: true, city: cityJSON.name, country: parsed.name, file: fileName };
+function draftOwner(req) {
+  if (!isModerationEnabled()) return undefined;
+  return { userId: req.user.userId, email: req.user.email || "" };
 }
 
 async function geocodeCity(city, country) {
@@ -386,52 +581,6 @@ function haversineKm(lat1, lon1, lat2, lon2) {
   return 6371 * c;
 }
 
-const PLAN_RANK = {
-  free: 0,
-  basic: 1,
-  premium: 2,
-  premium_plus: 3
-};
-
-function planAllows(plan, allowed) {
-  const rank = PLAN_RANK[plan] ?? 0;
-  const allowedRanks = allowed
-    .map((key) => PLAN_RANK[key])
-    .filter((value) => Number.isFinite(value));
-
-  if (!allowedRanks.length) return false;
-
-  const onlyFree = allowedRanks.every((value) => value === PLAN_RANK.free);
-  if (onlyFree) return rank === PLAN_RANK.free;
-
-  const minAllowed = Math.min(...allowedRanks);
-  return rank >= minAllowed;
-}
-
-async function loadUserById(userId) {
-  const users = await readJsonFile(USERS_PATH, []);
-  const idx = users.findIndex((u) => u.id === userId);
-  return { users, user: idx >= 0 ? users[idx] : null };
-}
-
-function normalizeUserTokens(user) {
-  if (!user) return false;
-  const current = Number(user.tokens || 0);
-  if (!Number.isFinite(current)) {
-    user.tokens = 0;
-  } else {
-    user.tokens = current;
-  }
-
-  if (user.tokens <= 0 && user.plan !== "free") {
-    user.tokens = 0;
-    user.plan = "free";
-    return true;
-  }
-
-  return false;
-}
-
 async function getUserContext(req, res) {
   const userId = req.user?.userId;
   if (!userId) {
@@ -439,39 +588,50 @@ async function getUserContext(req, res) {
     return null;
   }
 
-  const { users, user } = await loadUserById(userId);
+  const user = await syncUserBalance(userId);
   if (!user) {
     res.status(401).json({ error: "User not found." });
     return null;
   }
 
-  const changed = normalizeUserTokens(user);
-  if (changed) {
-    await writeJsonFile(USERS_PATH, users);
-  }
-
-  return { users, user };
+  return { user };
 }
 
 function hasTokens(user) {
   return Number(user?.tokens || 0) > 0;
 }
 
-async function consumeToken(users, user) {
-  user.tokens = Number(user.tokens || 0) - 1;
-  if (!Number.isFinite(user.tokens) || user.tokens <= 0) {
-    user.tokens = 0;
-    user.plan = "free";
+/**
+ * Runs an AI-backed task with one token reserved for it. The token is kept
+ * when `charged(result)` is true and refunded when it is false or the task
+ * throws. `user` is updated with the settled balance.
+ */
+async function withReservedToken(user, entry, task, charged = () => true) {
+  const { reservation } = await reserveToken(user.id, entry);
+  let result;
+  try {
+    result = await task();
+  } catch (err) {
+    await releaseReservation(reservation.id).catch((releaseErr) => console.error(releaseErr));
+    throw err;
+  }
+
+  const settled = charged(result)
+    ? await commitReservation(reservation.id)
+    : await releaseReservation(reservation.id);
+  if (settled) {
+    user.tokens = settled.tokens;
+    user.plan = settled.plan;
   }
-  await writeJsonFile(USERS_PATH, users);
+  return result;
 }
 
-app.post("/api/city/add", requireAuth, async (req, res) => {
+app.post("/api/city/add", requireAuth, aiRateLimit, async (req, res) => {
   try {
     const context = await getUserContext(req, res);
     if (!context) return;
 
-    if (!planAllows(context.user.plan, ["basic", "premium"])) {
+    if (!planAllows(context.user.plan, "addCities")) {
       return res.status(403).json({
         error: "Your plan does not allow adding new cities."
       });
@@ -486,9 +646,33 @@ app.post("/api/city/add", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "City is required" });
     }
 
-    const result = await addCityIfMissing(city);
+    const owner = draftOwner(req);
+    const result = await withReservedToken(
+      context.user,
+      { reason: "city_add", reference: String(city) },
+      async () => {
+        const added = await addCityIfMissing(city, {
+          generate: (name, country, file) =>
+            generateValidCity(name, country, parseCountryFileName(file)?.level || DEFAULT_LEVEL),
+          draft: Boolean(owner),
+          revision: revisionMetaFromRequest(req)
+        });
+        if (!added?.draft) return added;
+        return pendingResult(
+          await createPendingCity({
+            file: added.file,
+            level: parseCountryFileName(added.file)?.level || DEFAULT_LEVEL,
+            country: added.country,
+            city: added.city,
+            requestedBy: owner,
+            route: revisionMetaFromRequest(req).route
+          }),
+          true
+        );
+      },
+      (added) => !added?.exists
+    );
     if (!result?.exists) {
-      await consumeToken(context.users, context.user);
       return res.json({
         ...result,
         _meta: { tokensRemaining: context.user.tokens, plan: context.user.plan }
@@ -496,6 +680,9 @@ app.post("/api/city/add", requireAuth, async (req, res) => {
     }
     return res.json(result);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
     console.error(err);
     return res.status(500).json({
       error: "Failed to add city"
@@ -503,12 +690,12 @@ app.post("/api/city/add", requireAuth, async (req, res) => {
   }
 });
 
-app.post("/api/ask", requireAuth, async (req, res) => {
+app.post("/api/ask", requireAuth, aiRateLimit, async (req, res) => {
   try {
     const context = await getUserContext(req, res);
     if (!context) return;
 
-    if (!planAllows(context.user.plan, ["premium"])) {
+    if (!planAllows(context.user.plan, "askGuide")) {
       return res.status(403).json({
         error: "Your plan does not allow using the AI guide."
       });
@@ -525,16 +712,22 @@ app.post("/api/ask", requireAuth, async (req, res) => {
       });
     }
 
-    const response = await client.responses.create({
-      model: "gpt-4.1-mini",
-      max_output_tokens: 900,
-      text: {
-        format: { type: "json_object" }
-      },
-      input: [
-        {
-          role: "system",
-          content: `
+    const lang = negotiateLocale(req, req.body?.lang);
+    if (!lang) {
+      return res.status(400).json({ error: "Unsupported language." });
+    }
+
+    const parsed = await withReservedToken(context.user, { reason: "ask" }, async () => {
+      const response = await client.responses.create({
+        model: "gpt-4.1-mini",
+        max_output_tokens: 900,
+        text: {
+          format: { type: "json_object" }
+        },
+        input: [
+          {
+            role: "system",
+            content: `
 You are City Tour Guide AI. Reply with JSON only (no markdown/comments).
 
 Schema:
@@ -561,24 +754,28 @@ Schema:
 }
 
 Rules: interests is an object; use realistic well-known locations; Google Maps search URLs; concise descriptions; full_day may include short <a> links and emojis.
+${languageInstruction(lang)}
 `
-        },
-        {
-          role: "user",
-          content: question
-        }
-      ]
-    });
+          },
+          {
+            role: "user",
+            content: question
+          }
+        ]
+      });
 
-    const jsonText = response.output[0].content[0].text;
-    const parsed = JSON.parse(jsonText);
+      const jsonText = response.output[0].content[0].text;
+      return JSON.parse(jsonText);
+    });
 
-    await consumeToken(context.users, context.user);
     return res.json({
       ...parsed,
       _meta: { tokensRemaining: context.user.tokens, plan: context.user.plan }
     });
   } catch (err) {
+    if (err.status === 403) {
+      return res.status(403).json({ error: err.message });
+    }
     console.error("OPENAI ERROR:");
     console.error(err);
 
@@ -588,12 +785,12 @@ Rules: interests is an object; use realistic well-known locations; Google Maps s
   }
 });
 
-app.post("/api/ask/personalized", requireAuth, async (req, res) => {
+app.post("/api/ask/personalized", requireAuth, aiRateLimit, async (req, res) => {
   try {
     const context = await getUserContext(req, res);
     if (!context) return;
 
-    if (!planAllows(context.user.plan, ["premium"])) {
+    if (!planAllows(context.user.plan, "personalized")) {
       return res.status(403).json({
         error: "Your plan does not allow using the AI guide."
       });
@@ -613,16 +810,23 @@ app.post("/api/ask/personalized", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "City and interests are required." });
     }
 
-    const response = await client.responses.create({
-      model: "gpt-4.1-mini",
-      max_output_tokens: 1500,
-      text: {
-        format: { type: "json_object" }
-      },
-      input: [
-        {
-          role: "system",
-          content: `
+    const lang = negotiateLocale(req, req.body?.lang);
+    if (!lang) {
+      return res.status(400).json({ error: "Unsupported language." });
+    }
+
+    const ledgerEntry = { reason: "ask_personalized", reference: trimmedCity };
+    const parsed = await withReservedToken(context.user, ledgerEntry, async () => {
+      const response = await client.responses.create({
+        model: "gpt-4.1-mini",
+        max_output_tokens: 1500,
+        text: {
+          format: { type: "json_object" }
+        },
+        input: [
+          {
+            role: "system",
+            content: `
 You are City Tour Guide AI. Reply with JSON only (no markdown/comments).
 Create a personalized schedule for the given city and interests with meals included.
 
@@ -637,24 +841,28 @@ Schema:
 }
 
 Rules: include breakfast/lunch/dinner entries; use realistic locations tied to interests; Google Maps search URLs; concise factual descriptions; no emojis.
+${languageInstruction(lang)}
 `
-        },
-        {
-          role: "user",
-          content: `City: ${trimmedCity}\nInterests: ${trimmedInterests}`
-        }
-      ]
-    });
+          },
+          {
+            role: "user",
+            content: `City: ${trimmedCity}\nInterests: ${trimmedInterests}`
+          }
+        ]
+      });
 
-    const jsonText = response.output?.[0]?.content?.[0]?.text || "";
-    const parsed = JSON.parse(jsonText);
+      const jsonText = response.output?.[0]?.content?.[0]?.text || "";
+      return JSON.parse(jsonText);
+    });
 
-    await consumeToken(context.users, context.user);
     return res.json({
       ...parsed,
       _meta: { tokensRemaining: context.user.tokens, plan: context.user.plan }
     });
   } catch (err) {
+    if (err.status === 403) {
+      return res.status(403).json({ error: err.message });
+    }
     console.error("OPENAI ERROR:");
     console.error(err);
     return res.status(500).json({
@@ -776,8 +984,7 @@ app.get("/api/geo/nearest", async (req, res) => {
       return res.status(400).json({ error: resolved.error });
     }
 
-    const raw = await fs.promises.readFile(resolved.path, "utf8");
-    const parsed = JSON.parse(raw);
+    const { data: parsed } = await getCountryFile(fileName);
     const cities = Array.isArray(parsed?.cities) ? parsed.cities : [];
 
     let bestCity = null;
@@ -803,17 +1010,20 @@ app.get("/api/geo/nearest", async (req, res) => {
 
     return res.json({ city: bestCity });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error(err);
     return res.status(500).json({ error: "Failed to find nearest city." });
   }
 });
 
-app.post("/api/countries/:file/cities", requireAuth, async (req, res) => {
+app.post("/api/countries/:file/cities", requireAuth, aiRateLimit, async (req, res) => {
   try {
     const context = await getUserContext(req, res);
     if (!context) return;
 
-    if (!planAllows(context.user.plan, ["basic", "premium"])) {
+    if (!planAllows(context.user.plan, "addCities")) {
       return res.status(403).json({
         error: "Your plan does not allow adding new cities."
       });
@@ -828,9 +1038,22 @@ app.post("/api/countries/:file/cities", requireAuth, async (req, res) => {
     if (!city || typeof city !== "string") {
       return res.status(400).json({ error: "City is required." });
     }
-    const result = await generateCityInFile(fileName, city, country);
+    const level = req.body?.level ? normalizeLevel(req.body.level) : undefined;
+    if (level === null) {
+      return res.status(400).json({ error: "Invalid level." });
+    }
+    const result = await withReservedToken(
+      context.user,
+      { reason: "city_generate", reference: `${fileName}/${city}` },
+      () =>
+        generateCityInFile(fileName, city, country, {
+          level,
+          revision: revisionMetaFromRequest(req),
+          draftFor: draftOwner(req)
+        }),
+      (generated) => generated?.created
+    );
     if (result?.created) {
-      await consumeToken(context.users, context.user);
       return res.json({
         ...result,
         _meta: { tokensRemaining: context.user.tokens, plan: context.user.plan }
@@ -840,16 +1063,18 @@ app.post("/api/countries/:file/cities", requireAuth, async (req, res) => {
   } catch (err) {
     console.error(err);
     const status = err.status || 500;
-    return res.status(status).json({ error: err.message || "Failed to generate city data." });
+    return res
+      .status(status)
+      .json({ error: err.message || "Failed to generate city data.", details: err.details });
   }
 });
 
-app.post("/api/cities/generate", requireAuth, async (req, res) => {
+app.post("/api/cities/generate", requireAuth, aiRateLimit, async (req, res) => {
   try {
     const context = await getUserContext(req, res);
     if (!context) return;
 
-    if (!planAllows(context.user.plan, ["basic", "premium"])) {
+    if (!planAllows(context.user.plan, "addCities")) {
       return res.status(403).json({
         error: "Your plan does not allow adding new cities."
       });
@@ -868,6 +1093,16 @@ app.post("/api/cities/generate", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "City is required." });
     }
 
+    const level = req.body?.level ? normalizeLevel(req.body.level) : undefined;
+    if (level === null) {
+      return res.status(400).json({ error: "Invalid level." });
+    }
+
+    const lang = negotiateLocale(req, req.body?.lang);
+    if (!lang) {
+      return res.status(400).json({ error: "Unsupported language." });
+    }
+
     let resolvedCountry = country?.trim();
     if (!resolvedCountry) {
       resolvedCountry = await resolveCountryForCity(trimmedCity);
@@ -882,18 +1117,80 @@ app.post("/api/cities/generate", requireAuth, async (req, res) => {
       return res.status(404).json({ error: "No data file for resolved country." });
     }
 
-    const existingCity = await cityExistsInFile(match.file, trimmedCity);
-    if (existingCity) {
-      return res.json({
-        created: false,
-        city: existingCity.name,
-        country: match.country,
-        file: match.file
-      });
+    const targetFile = level ? countryFileForLevel(match.file, level) : match.file;
+    const targetLevel = parseCountryFileName(targetFile)?.level || DEFAULT_LEVEL;
+    const existingCity = await cityExistsInFile(targetFile, trimmedCity).catch((err) => {
+      if (err.status === 404) return null;
+      throw err;
+    });
+    // Only an explicit `lang` may start a paid translation; a language
+    // negotiated from Accept-Language just picks an existing one.
+    const translate = Boolean(req.body?.lang) && lang !== DEFAULT_LOCALE;
+
+    const existingResult = existingCity
+      ? {
+          created: false,
+          city: existingCity.name,
+          country: match.country,
+          file: targetFile,
+          level: targetLevel
+        }
+      : null;
+    // Nothing to generate or translate: answer without reserving a token.
+    if (
+      existingResult &&
+      lang !== DEFAULT_LOCALE &&
+      (await findCityTranslation(targetFile, existingResult.city, lang))
+    ) {
+      return res.json({ ...existingResult, lang, translated: false });
+    }
+    if (existingResult && !translate) {
+      return res.json(existingResult);
+    }
+
+    const { result, charged } = await withReservedToken(
+      context.user,
+      { reason: "city_generate", reference: `${targetFile}/${trimmedCity}` },
+      async () => {
+        const result = existingResult
+          ? { ...existingResult }
+          : await generateCityInFile(match.file, trimmedCity, match.country, {
+              level,
+              revision: revisionMetaFromRequest(req),
+              draftFor: draftOwner(req)
+            });
+        let charged = result.created;
+
+        if (translate && result.pending) {
+          result.lang = lang;
+          result.translated = false;
+          if (!result.translations?.[lang]) {
+            const translated = await translateCity(result.draft, lang);
+            await savePendingTranslation(result.pendingId, lang, translated);
+            result.translations = { ...result.translations, [lang]: translated };
+            result.translated = true;
+            charged = true;
+          }
+        } else if (translate) {
+          result.lang = lang;
+          result.translated = false;
+          const translation = await findCityTranslation(result.file, result.city, lang);
+          if (!translation) {
+            await translateCityInFile(result.file, result.city, lang, revisionMetaFromRequest(req));
+            result.translated = true;
+            charged = true;
+          }
+        }
+
+        return { result, charged };
+      },
+      ({ charged }) => charged
+    );
+
+    if (!charged) {
+      return res.json(result);
     }
 
-    const result = await generateCityInFile(match.file, trimmedCity, match.country);
-    await consumeToken(context.users, context.user);
     return res.json({
       ...result,
       _meta: { tokensRemaining: context.user.tokens, plan: context.user.plan }
@@ -901,82 +1198,186 @@ app.post("/api/cities/generate", requireAuth, async (req, res) => {
   } catch (err) {
     console.error(err);
     const status = err.status || 500;
-    return res.status(status).json({ error: err.message || "Failed to generate city data." });
+    return res
+      .status(status)
+      .json({ error: err.message || "Failed to generate city data.", details: err.details });
   }
 });
 
-app.get("/api/countries", async (req, res) => {
+app.get("/api/search", async (req, res) => {
   try {
-    const files = await fs.promises.readdir(COUNTRIES_DIR);
-    const jsonFiles = files.filter((file) => file.endsWith(".json"));
-
-    const entries = await Promise.all(
-      jsonFiles.map(async (file) => {
-        try {
-          const fullPath = path.join(COUNTRIES_DIR, file);
-          const raw = await fs.promises.readFile(fullPath, "utf8");
-          const parsed = JSON.parse(raw);
-          if (!parsed?.name) return null;
-          return { name: parsed.name, file };
-        } catch (err) {
-          console.error(`Failed to load country file: ${file}`);
-          return null;
-        }
-      })
-    );
+    const query = String(req.query.q || "").trim();
+    if (!query) {
+      return res.status(400).json({ error: "Query is required." });
+    }
+    if (query.length > 200) {
+      return res.status(400).json({ error: "Query is too long." });
+    }
+
+    const section = req.query.section ? String(req.query.section) : undefined;
+    if (section && !SEARCH_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: "Invalid section." });
+    }
+
+    let file;
+    if (req.query.file) {
+      const resolved = resolveCountryFile(String(req.query.file));
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      file = path.basename(resolved.path);
+    }
+
+    const level = parseLevelParam(req.query.level);
+    if (level === null) {
+      return res.status(400).json({ error: "Invalid level." });
+    }
 
-    const countries = entries
-      .filter(Boolean)
-      .sort((a, b) => a.name.localeCompare(b.name));
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+
+    const { total, results } = await searchPlaces(query, { limit, offset, file, section, level });
+    return res.json({ query, total, limit, offset, results });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Failed to search places." });
+  }
+});
 
-    return res.json({ countries });
+app.get("/api/countries", async (req, res) => {
+  try {
+    const listing = await listCountries();
+    return sendCachedJson(req, res, listing);
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: "Failed to list countries." });
   }
 });
 
-app.get("/api/countries/:file", (req, res) => {
-  const fileName = req.params.file;
-  const resolved = resolveCountryFile(fileName);
-  if (resolved.error) {
-    return res.status(400).json({ error: resolved.error });
+app.get("/api/countries/:file/cities", async (req, res) => {
+  try {
+    const level = parseLevelParam(req.query.level);
+    if (level === null) {
+      return res.status(400).json({ error: "Invalid level." });
+    }
+
+    const { entry, level: servedLevel } = await getCountryFileForLevel(req.params.file, level);
+    const parsed = entry.data;
+
+    const names = (Array.isArray(parsed?.cities) ? parsed.cities : [])
+      .map((entry) => entry?.name)
+      .filter(Boolean);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+
+    return res.json({
+      country: parsed?.name || "",
+      file: entry.file,
+      level: servedLevel,
+      total: names.length,
+      limit,
+      offset,
+      cities: names.slice(offset, offset + limit)
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to list cities." });
   }
+});
 
-  fs.readFile(resolved.path, "utf8", (err, data) => {
-    if (err) {
-      return res.status(404).json({ error: "File not found." });
+app.get("/api/countries/:file/cities/:city", async (req, res) => {
+  try {
+    const resolved = resolveCountryFile(req.params.file);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
     }
 
-    try {
-      return res.json(JSON.parse(data));
-    } catch (parseErr) {
-      return res.status(500).json({ error: "Invalid JSON file." });
+    const projection = parseFieldsParam(req.query.fields);
+    if (projection?.error) {
+      return res.status(400).json({ error: projection.error });
     }
-  });
+
+    const level = parseLevelParam(req.query.level);
+    if (level === null) {
+      return res.status(400).json({ error: "Invalid level." });
+    }
+
+    const lang = negotiateLocale(req, req.query.lang);
+    if (!lang) {
+      return res.status(400).json({ error: "Unsupported language." });
+    }
+
+    const match = await findCityForLevel(req.params.file, req.params.city, level);
+    if (!match) {
+      return res.status(404).json({ error: "City not found." });
+    }
+
+    const translation = await findCityTranslation(match.file, match.city.name, lang);
+    const city = translation || match.city;
+    res.set({
+      "Content-Level": match.level,
+      "Content-Language": translation ? lang : DEFAULT_LOCALE
+    });
+    res.vary("Accept-Language");
+    return res.json(projection ? projectFields(city, projection.fields) : city);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to load city." });
+  }
+});
+
+app.get("/api/countries/:file", async (req, res) => {
+  try {
+    const level = parseLevelParam(req.query.level);
+    if (level === null) {
+      return res.status(400).json({ error: "Invalid level." });
+    }
+
+    const lang = negotiateLocale(req, req.query.lang);
+    if (!lang) {
+      return res.status(400).json({ error: "Unsupported language." });
+    }
+
+    const { entry, level: servedLevel } = await getCountryFileForLevel(req.params.file, level);
+    const localized = await localizeCountryEntry(entry, lang);
+    res.set({
+      "Content-Level": servedLevel,
+      "Content-Language": localized.lang
+    });
+    res.vary("Accept-Language");
+    return sendCachedJson(req, res, localized);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to load country file." });
+  }
 });
 
 app.listen(process.env.PORT || 3001, () => {
   console.log(`API running on http://localhost:${process.env.PORT || 3001}`);
+  startRenewalSchedule();
 });
 
 app.get("/api/auth/me", requireAuth, async (req, res) => {
   try {
-    const users = await readJsonFile(USERS_PATH, []);
-    const match = users.find((u) => u.id === req.user?.userId);
-    if (match) {
-      const changed = normalizeUserTokens(match);
-      if (changed) {
-        await writeJsonFile(USERS_PATH, users);
-      }
-    }
+    const match = await syncUserBalance(req.user?.userId);
 
     return res.json({
       userId: req.user?.userId,
       name: match?.name || "",
       email: req.user?.email,
       plan: match?.plan || req.user?.plan || "free",
-      tokens: Number(match?.tokens || 0)
+      tokens: Number(match?.tokens || 0),
+      subscription: match?.subscription || null,
+      twoFactorEnabled: isTwoFactorEnabled(match)
     });
   } catch (err) {
     console.error(err);
@@ -984,20 +1385,16 @@ app.get("/api/auth/me", requireAuth, async (req, res) => {
   }
 });
 
-app.get("/api/auth/name-check", async (req, res) => {
+app.get("/api/auth/name-check", rateLimit("nameCheck"), async (req, res) => {
   try {
     const rawName = String(req.query.name || "").trim();
     if (!rawName) {
       return res.status(400).json({ error: "Name is required." });
     }
 
-    const normalized = normalizeUserName(rawName);
-    const users = await readJsonFile(USERS_PATH, []);
-    const pending = await readJsonFile(PENDING_USERS_PATH, []);
-
     const exists =
-      users.some((u) => normalizeUserName(u.name) === normalized) ||
-      pending.some((u) => normalizeUserName(u.name) === normalized);
+      Boolean(await storage.users.findByName(rawName)) ||
+      Boolean(await storage.pendingUsers.findByName(rawName));
 
     return res.json({ available: !exists });
   } catch (err) {
@@ -1007,7 +1404,7 @@ app.get("/api/auth/name-check", async (req, res) => {
 });
 
 
-app.post("/api/auth/signup", async (req, res) => {
+app.post("/api/auth/signup", rateLimit("signup"), async (req, res) => {
   try {
     const { name, email, password } = req.body || {};
     if (!name || !email || !password) {
@@ -1020,25 +1417,24 @@ app.post("/api/auth/signup", async (req, res) => {
     }
 
     const normalizedEmail = normalizeEmail(email);
-    const users = await readJsonFile(USERS_PATH, []);
-    const existing = users.find((u) => normalizeEmail(u.email) === normalizedEmail);
+    const existing = await storage.users.findByEmail(normalizedEmail);
     if (existing) {
       return res.status(409).json({ error: "User already exists." });
     }
-    const nameExists = users.find((u) => normalizeUserName(u.name) === normalizedName);
+    const nameExists = await storage.users.findByName(normalizedName);
     if (nameExists) {
       return res.status(409).json({ error: "Name already exists." });
     }
 
-    const pending = await readJsonFile(PENDING_USERS_PATH, []);
     const now = new Date();
-
-    const activePending = pending.filter((entry) => !isPendingExpired(entry, now));
-    if (activePending.length !== pending.length) {
-      await writeJsonFile(PENDING_USERS_PATH, activePending);
+    const pending = await storage.pendingUsers.list();
+    for (const entry of pending) {
+      if (isPendingExpired(entry, now)) {
+        await storage.pendingUsers.remove(entry.id);
+      }
     }
 
-    const pendingExisting = activePending.find((u) => normalizeEmail(u.email) === normalizedEmail);
+    const pendingExisting = await storage.pendingUsers.findByEmail(normalizedEmail);
     if (pendingExisting) {
       const lastSentAt = safeParseDate(pendingExisting.lastEmailSentAt);
       const tooSoon =
@@ -1056,24 +1452,27 @@ app.post("/api/auth/signup", async (req, res) => {
       }
 
       const confirmUrl = buildConfirmUrl(req, pendingExisting.token);
+      const emailSendAttempts = Number(pendingExisting.emailSendAttempts || 0) + 1;
       try {
         await sendSignupEmail(pendingExisting.email, confirmUrl);
-        pendingExisting.lastEmailSentAt = now.toISOString();
-        pendingExisting.emailSendAttempts = Number(pendingExisting.emailSendAttempts || 0) + 1;
-        await writeJsonFile(PENDING_USERS_PATH, activePending);
+        await storage.pendingUsers.update(pendingExisting.id, {
+          lastEmailSentAt: now.toISOString(),
+          emailSendAttempts
+        });
         return res.json({
           pending: true,
           message: "Signup already pending. Confirmation email re-sent. Check inbox/spam."
         });
       } catch (mailErr) {
-        pendingExisting.lastEmailErrorAt = now.toISOString();
-        pendingExisting.lastEmailError = String(mailErr?.message || mailErr);
-        pendingExisting.emailSendAttempts = Number(pendingExisting.emailSendAttempts || 0) + 1;
-        await writeJsonFile(PENDING_USERS_PATH, activePending);
+        await storage.pendingUsers.update(pendingExisting.id, {
+          lastEmailErrorAt: now.toISOString(),
+          lastEmailError: String(mailErr?.message || mailErr),
+          emailSendAttempts
+        });
         throw mailErr;
       }
     }
-    const pendingName = activePending.find((u) => normalizeUserName(u.name) === normalizedName);
+    const pendingName = await storage.pendingUsers.findByName(normalizedName);
     if (pendingName) {
       return res.status(409).json({ error: "Name already exists." });
     }
@@ -1091,19 +1490,18 @@ app.post("/api/auth/signup", async (req, res) => {
       createdAt: new Date().toISOString()
     };
 
-    activePending.push(entry);
-    await writeJsonFile(PENDING_USERS_PATH, activePending);
+    await storage.pendingUsers.create(entry);
 
     const confirmUrl = buildConfirmUrl(req, token);
 
     try {
       await sendSignupEmail(normalizedEmail, confirmUrl);
-      entry.lastEmailSentAt = new Date().toISOString();
-      entry.emailSendAttempts = 1;
-      await writeJsonFile(PENDING_USERS_PATH, activePending);
+      await storage.pendingUsers.update(entry.id, {
+        lastEmailSentAt: new Date().toISOString(),
+        emailSendAttempts: 1
+      });
     } catch (mailErr) {
-      activePending.pop();
-      await writeJsonFile(PENDING_USERS_PATH, activePending);
+      await storage.pendingUsers.remove(entry.id);
       throw mailErr;
     }
 
@@ -1121,18 +1519,17 @@ app.get("/api/auth/confirm", async (req, res) => {
       return res.status(400).send("Invalid or expired token.");
     }
 
-    const pending = await readJsonFile(PENDING_USERS_PATH, []);
-    const idx = pending.findIndex((u) => u.token === token);
-    if (idx === -1) {
+    const entry = await storage.pendingUsers.findByToken(token);
+    if (!entry) {
       return res.status(400).send("Invalid or expired token.");
     }
 
-    const entry = pending[idx];
-    pending.splice(idx, 1);
-    await writeJsonFile(PENDING_USERS_PATH, pending);
+    const claimed = await storage.pendingUsers.remove(entry.id);
+    if (!claimed) {
+      return res.status(400).send("Invalid or expired token.");
+    }
 
-    const users = await readJsonFile(USERS_PATH, []);
-    let user = users.find((u) => normalizeEmail(u.email) === normalizeEmail(entry.email));
+    let user = await storage.users.findByEmail(entry.email);
 
     if (!user) {
       user = {
@@ -1143,23 +1540,18 @@ app.get("/api/auth/confirm", async (req, res) => {
         plan: entry.plan || "free",
         tokens: Number(entry.tokens || 0)
       };
-      users.push(user);
-      await writeJsonFile(USERS_PATH, users);
+      await storage.users.create(user);
     }
 
-    const authToken = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        plan: user.plan
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
+    const { token: authToken, refreshToken } = await createSession(
+      user,
+      sessionMetaFromRequest(req)
     );
 
     const redirectUrl = buildClientUrl(req, "/");
     const url = new URL(redirectUrl);
     url.searchParams.set("token", authToken);
+    url.searchParams.set("refreshToken", refreshToken);
 
     return res.redirect(url.toString());
   } catch (err) {
@@ -1168,7 +1560,24 @@ app.get("/api/auth/confirm", async (req, res) => {
   }
 });
 
-app.post("/api/auth/login", async (req, res) => {
+async function sendLoginSession(req, res, user) {
+  Object.assign(user, await syncUserBalance(user.id));
+
+  const { token, refreshToken } = await createSession(user, sessionMetaFromRequest(req));
+
+  return res.json({
+    token,
+    refreshToken,
+    user: {
+      name: user.name,
+      email: user.email,
+      plan: user.plan,
+      tokens: Number(user.tokens || 0)
+    }
+  });
+}
+
+app.post("/api/auth/login", rateLimit("login"), async (req, res) => {
   const { username, name, email, password } = req.body || {};
   const rawIdentifier = username ?? name ?? email;
 
@@ -1176,46 +1585,148 @@ app.post("/api/auth/login", async (req, res) => {
     return res.status(400).json({ error: "Username or email and password required" });
   }
 
-  const users = await readJsonFile(USERS_PATH, []);
-  const normalizedName = normalizeUserName(rawIdentifier);
-  const normalizedEmail = normalizeEmail(rawIdentifier);
-  const user = users.find(
-    (u) =>
-      normalizeUserName(u.name) === normalizedName ||
-      normalizeEmail(u.email) === normalizedEmail
-  );
+  const user =
+    (await storage.users.findByName(rawIdentifier)) ||
+    (await storage.users.findByEmail(rawIdentifier));
 
-  if (!user) {
-    return res.status(401).json({ error: "Invalid credentials" });
+  // Unknown names are locked out the same way, so lockouts do not reveal
+  // which accounts exist.
+  const account = user ? user.id : `unknown:${normalizeUserName(rawIdentifier)}`;
+  const lockedMs = await loginLockoutRemaining(account);
+  if (lockedMs > 0) {
+    return sendTooManyRequests(res, lockedMs, "Too many failed login attempts. Try again later.");
   }
 
-  const match = await bcrypt.compare(password, user.passwordHash);
-  if (!match) {
+  if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+    await recordLoginFailure(account);
     return res.status(401).json({ error: "Invalid credentials" });
   }
+  await clearLoginFailures(account);
 
-  const normalized = normalizeUserTokens(user);
-  if (normalized) {
-    await writeJsonFile(USERS_PATH, users);
+  if (isTwoFactorEnabled(user)) {
+    return res.json({ twoFactorRequired: true, challengeToken: signLoginChallenge(user) });
   }
+  return sendLoginSession(req, res, user);
+});
 
-  const token = jwt.sign(
-    {
-      userId: user.id,
-      email: user.email,
-      plan: user.plan
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+/**
+ * Second login step for accounts with two-factor authentication. Body:
+ * { challengeToken, code } where code is from the authenticator app or a
+ * recovery code. Wrong codes lock the account out like wrong passwords,
+ * counted separately so a correct password does not reset them.
+ */
+app.post("/api/auth/login/2fa", rateLimit("login"), async (req, res) => {
+  try {
+    const user = await verifyLoginChallenge(req.body?.challengeToken);
+    const account = `2fa:${user.id}`;
+    const lockedMs = await loginLockoutRemaining(account);
+    if (lockedMs > 0) {
+      return sendTooManyRequests(res, lockedMs, "Too many failed attempts. Try again later.");
+    }
 
-  res.json({
-    token,
-    user: {
-      name: user.name,
-      email: user.email,
-      plan: user.plan,
-      tokens: Number(user.tokens || 0)
+    try {
+      await verifySecondFactor(user.id, req.body?.code);
+    } catch (err) {
+      if (err.status === 401) await recordLoginFailure(account);
+      throw err;
     }
+    await clearLoginFailures(account);
+    return sendLoginSession(req, res, user);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to log in." });
+  }
+});
+
+/**
+ * Body: { refreshToken }. The refresh token is single use; the response
+ * carries its replacement.
+ */
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { user, token, refreshToken } = await refreshSession(req.body?.refreshToken);
+    return res.json({ token, refreshToken, plan: user.plan, tokens: Number(user.tokens || 0) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to refresh session." });
+  }
+});
+
+// Ends the session of { refreshToken }; its access token expires on its own.
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await revokeSession(req.body?.refreshToken);
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to log out." });
+  }
+});
+
+app.post("/api/auth/logout-all", requireAuth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to log out of all devices." });
+  }
+});
+
+/**
+ * Emails a password reset link. The answer is the same whether or not the
+ * account exists, and the email is sent in the background so response
+ * times do not tell either.
+ */
+app.post("/api/auth/password/forgot", rateLimit("passwordForgot"), async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!email) {
+    return res.status(400).json({ error: "Email is required." });
+  }
+
+  try {
+    const user = await storage.users.findByEmail(email);
+    const token = user ? await issuePasswordReset(user.id) : null;
+    if (token) {
+      const url = new URL(buildClientUrl(req, "/reset-password"));
+      url.searchParams.set("token", token);
+      sendPasswordResetEmail(user.email, url.toString()).catch((err) => console.error(err));
+    }
+  } catch (err) {
+    console.error(err);
+  }
+
+  return res.json({
+    message: "If an account exists for this email, a password reset link has been sent."
   });
 });
+
+app.post("/api/auth/password/reset", rateLimit("passwordReset"), async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ error: "Token and new password required" });
+    }
+
+    await resetPassword(token, password);
+    return res.json({ message: "Password updated. Please log in with your new password." });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Failed to reset password." });
+  }
+});
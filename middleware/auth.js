@@ -1,6 +1,34 @@
 import jwt from "jsonwebtoken";
+import { storage } from "../storage/index.js";
 
-export function requireAuth(req, res, next) {
+// Access tokens are short-lived; clients renew them with a refresh token.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+/**
+ * Signs an access token. `tokenVersion` ties it to the user's current
+ * sessions: bumping `user.tokenVersion` (logout everywhere, password reset)
+ * makes every token signed before it invalid.
+ */
+export function signUserToken(user) {
+  if (!process.env.JWT_SECRET) {
+    const err = new Error("JWT secret is not configured.");
+    err.status = 500;
+    throw err;
+  }
+
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      plan: user.plan,
+      tokenVersion: user.tokenVersion || 0
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+export async function requireAuth(req, res, next) {
   const header = req.headers.authorization;
 
   if (!header) {
@@ -9,11 +37,63 @@ export function requireAuth(req, res, next) {
 
   const token = header.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch {
     return res.status(401).json({ error: "Invalid token" });
   }
+  // Tokens signed for one purpose (e.g. a two-factor login challenge) are
+  // not access tokens.
+  if (decoded.purpose) {
+    return res.status(401).json({ error: "Invalid token" });
+  }
+
+  let user;
+  try {
+    user = await storage.users.findById(decoded.userId);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Failed to verify session." });
+  }
+  if (!user || (user.tokenVersion || 0) !== (decoded.tokenVersion || 0)) {
+    return res.status(401).json({ error: "Session expired. Please log in again." });
+  }
+
+  // The email and plan claims are only a snapshot; the user record is current.
+  req.user = { ...decoded, email: user.email, plan: user.plan };
+  next();
+}
+
+function adminEmails() {
+  return String(process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Admins are users with `role: "admin"` or whose email is listed in
+ * ADMIN_EMAILS.
+ */
+export async function isAdminUser(userId) {
+  const user = userId ? await storage.users.findById(userId) : null;
+  const email = String(user?.email || "").trim().toLowerCase();
+  return Boolean(user) && (user.role === "admin" || adminEmails().includes(email));
+}
+
+/**
+ * Must run after requireAuth.
+ */
+export async function requireAdmin(req, res, next) {
+  try {
+    if (!(await isAdminUser(req.user?.userId))) {
+      return res.status(403).json({ error: "Admin access required." });
+    }
+
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Failed to verify admin access." });
+  }
 }
@@ -0,0 +1,161 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Counters live in a store with this async interface, so the in-memory one
+ * can be swapped for a shared store (e.g. Redis) when running several API
+ * processes:
+ *
+ * - increment(key, windowMs) → { count, resetAt }; starts a new window
+ *   once the previous one has ended
+ * - get(key) → value or null
+ * - set(key, value, ttlMs)
+ * - delete(key)
+ */
+export function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+  const live = (key, now) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { value: 0, expiresAt: now + windowMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+    async get(key) {
+      return live(key, Date.now())?.value ?? null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+export function setRateLimitStore(nextStore) {
+  store = nextStore;
+}
+
+/*
+ * Named limits. Each can be changed with RATE_LIMIT_<NAME>_MAX and
+ * RATE_LIMIT_<NAME>_WINDOW_MS (e.g. RATE_LIMIT_NAME_CHECK_MAX); a max of 0
+ * turns the limit off.
+ */
+const LIMITS = {
+  login: { max: 20, windowMs: 15 * 60 * 1000 },
+  signup: { max: 10, windowMs: 15 * 60 * 1000 },
+  passwordForgot: { max: 5, windowMs: 15 * 60 * 1000 },
+  passwordReset: { max: 10, windowMs: 15 * 60 * 1000 },
+  // Per user: routes that check the current password or a 2FA code.
+  accountSecurity: { max: 10, windowMs: 15 * 60 * 1000 },
+  // Per user: guesses at promo codes.
+  promoRedeem: { max: 10, windowMs: 60 * 60 * 1000 },
+  nameCheck: { max: 30, windowMs: 60 * 1000 },
+  ai: { max: 20, windowMs: 60 * 1000 }
+};
+
+function limitConfig(name) {
+  const envName = name.replace(/[A-Z]/g, (char) => `_${char}`).toUpperCase();
+  const defaults = LIMITS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit "${name}".`);
+  }
+  return {
+    max: Number(process.env[`RATE_LIMIT_${envName}_MAX`] ?? defaults.max),
+    windowMs: Number(process.env[`RATE_LIMIT_${envName}_WINDOW_MS`] || defaults.windowMs)
+  };
+}
+
+export function sendTooManyRequests(res, retryAfterMs, message) {
+  res.set("Retry-After", String(Math.max(Math.ceil(retryAfterMs / 1000), 1)));
+  return res.status(429).json({ error: message });
+}
+
+/**
+ * Limits requests per client IP (`req.ip`, which honours `trust proxy`),
+ * or with `by: "user"` per signed-in user, falling back to the IP. A store
+ * failure lets the request through rather than taking the API down.
+ */
+export function rateLimit(name, { by = "ip" } = {}) {
+  const { max, windowMs } = limitConfig(name);
+
+  return async (req, res, next) => {
+    if (!(max > 0)) return next();
+
+    const subject =
+      by === "user" && req.user?.userId ? `user:${req.user.userId}` : `ip:${req.ip}`;
+    let result;
+    try {
+      result = await store.increment(`${name}:${subject}`, windowMs);
+    } catch (err) {
+      console.error("Rate limit store failed:", err);
+      return next();
+    }
+
+    const retryAfterMs = result.resetAt - Date.now();
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(max - result.count, 0)),
+      "RateLimit-Reset": String(Math.max(Math.ceil(retryAfterMs / 1000), 0))
+    });
+    if (result.count > max) {
+      return sendTooManyRequests(res, retryAfterMs, "Too many requests. Please try again later.");
+    }
+    next();
+  };
+}
+
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_LOCKOUT_BASE_MS = Number(process.env.LOGIN_LOCKOUT_BASE_MS || 30 * 1000);
+const LOGIN_LOCKOUT_MAX_MS = Number(process.env.LOGIN_LOCKOUT_MAX_MS || 60 * 60 * 1000);
+// Failures older than this are forgotten.
+const LOGIN_FAILURE_WINDOW_MS = Number(process.env.LOGIN_FAILURE_WINDOW_MS || 60 * 60 * 1000);
+
+/**
+ * Milliseconds until `account` may try to log in again, or 0.
+ */
+export async function loginLockoutRemaining(account) {
+  const record = await store.get(`login-failures:${account}`);
+  return Math.max((record?.lockedUntil || 0) - Date.now(), 0);
+}
+
+/**
+ * Counts a failed login. From LOGIN_MAX_FAILURES on, each failure locks the
+ * account for twice as long as the previous one, up to LOGIN_LOCKOUT_MAX_MS.
+ */
+export async function recordLoginFailure(account) {
+  const key = `login-failures:${account}`;
+  const now = Date.now();
+  const failures = ((await store.get(key))?.failures || 0) + 1;
+  const excess = failures - LOGIN_MAX_FAILURES;
+  const lockedUntil =
+    excess >= 0 ? now + Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** excess, LOGIN_LOCKOUT_MAX_MS) : 0;
+  const ttlMs = Math.max(LOGIN_FAILURE_WINDOW_MS, lockedUntil - now);
+  await store.set(key, { failures, lockedUntil }, ttlMs);
+}
+
+export async function clearLoginFailures(account) {
+  await store.delete(`login-failures:${account}`);
+}
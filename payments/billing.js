@@ -0,0 +1,608 @@
+import crypto from "crypto";
+import { storage } from "../storage/index.js";
+import { creditTokens, revokeTokens, assertCanPurchase } from "../utils/tokenBalance.js";
+import { PLAN_CURRENCY, PLAN_RANK, getPlan, planForPrice } from "../config/plans.js";
+import { getPaymentProvider } from "./index.js";
+import {
+  consumePromoReservation,
+  releasePromoReservation,
+  renewPromoReservation,
+  reservePromoCode
+} from "./promoCodes.js";
+import { sendReceipt } from "./invoices.js";
+
+function paymentError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function normalizeAmountValue(value) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) {
+    return null;
+  }
+  return Number(amount.toFixed(2));
+}
+
+/**
+ * The plan a checkout is for: `plan` by id, or the plan sold at `amount`.
+ */
+function resolvePurchasePlan({ plan, amount }) {
+  const match = plan ? getPlan(String(plan)) : planForPrice(normalizeAmountValue(amount));
+  if (!match) {
+    throw paymentError(plan ? "Unknown plan." : "Unsupported amount.", 400);
+  }
+  if (match.price === null) {
+    throw paymentError("Plan cannot be purchased.", 400);
+  }
+  return match;
+}
+
+function parseOrderId(value) {
+  const orderId = String(value || "").trim();
+  if (!orderId) {
+    throw paymentError("Order ID is required.", 400);
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(orderId)) {
+    throw paymentError("Invalid order ID.", 400);
+  }
+  return orderId;
+}
+
+/**
+ * Payment records are keyed by provider and order, so each order has at
+ * most one.
+ */
+function paymentRecordId(provider, orderId) {
+  return `${provider.name}_${orderId}`;
+}
+
+function paymentTime(payment) {
+  return String(payment.createdAt || payment.timestamp || "");
+}
+
+/**
+ * The plan and tokens a payment buys: as recorded at checkout, or for
+ * orders created before that, the plan sold at the captured amount.
+ */
+function purchaseForPayment(payment, value) {
+  if (payment.plan && payment.tokens) {
+    return getPlan(payment.plan) ? { plan: payment.plan, tokens: payment.tokens } : null;
+  }
+  const match = planForPrice(value);
+  return match ? { plan: match.id, tokens: match.tokens } : null;
+}
+
+async function creditTokensForUser(userId, { plan, tokens }, orderId) {
+  const updated = await creditTokens(userId, { tokens, plan, reference: orderId });
+
+  return {
+    user: updated,
+    tokens
+  };
+}
+
+/*
+ * Payment statuses: created → capturing → completed, then refunded or
+ * reversed. A capture that fails validation ends in failed; created and
+ * failed payments can be claimed for another capture attempt. A captured
+ * payment whose tokens could not be credited stays capturing with its
+ * capture and lastError recorded; the next capture request or provider
+ * event claims it again and only retries the credit.
+ */
+const CLAIMABLE_STATUSES = ["created", "failed"];
+
+function isUncredited(payment) {
+  return payment.status === "capturing" && Boolean(payment.captureId && payment.lastError);
+}
+
+/**
+ * The capture recorded on a payment whose credit failed.
+ */
+function recordedCapture(payment) {
+  return {
+    id: payment.captureId,
+    status: "completed",
+    amount: payment.capturedAmount,
+    currency: payment.currency
+  };
+}
+
+/**
+ * Atomically moves a payment to "capturing" so only one request credits it.
+ * `retryCredit` is set when the payment was already captured and only its
+ * credit has to be retried. Returns null when there is no such payment.
+ */
+async function claimPayment(paymentId) {
+  let previousStatus = null;
+  let claimed = false;
+  let retryCredit = false;
+  const payment = await storage.payments.modify(paymentId, (record) => {
+    previousStatus = record.status;
+    retryCredit = isUncredited(record);
+    if (!CLAIMABLE_STATUSES.includes(record.status) && !retryCredit) return false;
+    record.status = "capturing";
+    record.updatedAt = new Date().toISOString();
+    // Clearing the error keeps a concurrent request from claiming it too.
+    delete record.lastError;
+    claimed = true;
+  });
+  return payment ? { payment, previousStatus, claimed, retryCredit } : null;
+}
+
+/**
+ * Marks a payment failed and gives back the promo code use it reserved; a
+ * retried capture reserves it again.
+ */
+async function failPayment(payment, reason) {
+  await storage.payments.update(payment.id, {
+    status: "failed",
+    failureReason: reason,
+    updatedAt: new Date().toISOString()
+  });
+  if (payment.promoReservation) {
+    await releasePromoReservation(payment.promoCode, payment.promoReservation).catch((err) =>
+      console.error(err)
+    );
+  }
+}
+
+/**
+ * Keeps the reusable payment method of a capture on the user, one per
+ * provider, for subscription renewals.
+ */
+function savePaymentMethod(userId, provider, paymentMethod) {
+  return storage.users.modify(userId, (record) => {
+    record.paymentMethods = {
+      ...record.paymentMethods,
+      [provider.name]: { ...paymentMethod, savedAt: new Date().toISOString() }
+    };
+  });
+}
+
+/**
+ * Removes the user's saved payment methods from the providers that keep
+ * them. Failures are logged, not thrown.
+ */
+export async function forgetPaymentMethods(user) {
+  for (const [name, paymentMethod] of Object.entries(user.paymentMethods || {})) {
+    try {
+      const provider = getPaymentProvider(name);
+      if (typeof provider.forgetPaymentMethod === "function") {
+        await provider.forgetPaymentMethod(paymentMethod);
+      }
+    } catch (err) {
+      console.error(`Could not remove the ${name} payment method of ${user.id}:`, err);
+    }
+  }
+}
+
+/**
+ * For account deletion: payments are kept for accounting but no longer
+ * hold the user's email address.
+ */
+export async function forgetPaymentEmailsOf(userId) {
+  const payments = await storage.payments.list({ userId });
+  for (const payment of payments) {
+    if (payment.email) await storage.payments.update(payment.id, { email: undefined });
+  }
+}
+
+/**
+ * Checks a capture against a claimed payment and credits its tokens. A
+ * capture that does not match the order marks the payment failed.
+ */
+async function completePayment(provider, payment, capture) {
+  const value = normalizeAmountValue(capture?.amount);
+  const purchase = purchaseForPayment(payment, value);
+
+  let problem = null;
+  if (capture?.status !== "completed") {
+    problem = "Payment not completed.";
+  } else if (!value || capture.currency !== PLAN_CURRENCY) {
+    problem = "Invalid capture amount.";
+  } else if (!purchase) {
+    problem = "Unsupported capture amount.";
+  } else if (payment.amount && Number(payment.amount) !== value) {
+    problem = "Capture amount does not match the order.";
+  } else if (provider.merchantId && capture.payeeId && capture.payeeId !== provider.merchantId) {
+    problem = "Payee mismatch for capture.";
+  }
+  if (problem) {
+    await failPayment(payment, problem);
+    throw paymentError(problem, 400);
+  }
+
+  let result;
+  let planBefore;
+  try {
+    const user = await storage.users.findById(payment.userId);
+    planBefore = Number(user?.tokens) > 0 ? user.plan : "free";
+    result = await creditTokensForUser(payment.userId, purchase, payment.orderId);
+  } catch (err) {
+    // The provider has the money, so the payment must not go back to a
+    // claimable status; it stays "capturing" until the credit is retried.
+    await storage.payments
+      .update(payment.id, {
+        captureId: capture.id,
+        capturedAmount: value.toFixed(2),
+        currency: capture.currency,
+        lastError: err.message,
+        updatedAt: new Date().toISOString()
+      })
+      .catch((updateErr) => console.error(updateErr));
+    throw err;
+  }
+
+  // Once credited the payment must never go back to a claimable status, so
+  // a failure to record the outcome leaves it "capturing".
+  const now = new Date().toISOString();
+  const completed = await storage.payments.update(payment.id, {
+    status: "completed",
+    amount: value.toFixed(2),
+    currency: capture.currency,
+    plan: result.user.plan,
+    planBefore,
+    tokensGranted: result.tokens,
+    captureId: capture.id,
+    capturedAt: now,
+    updatedAt: now,
+    lastError: undefined,
+    failureReason: undefined
+  });
+  if (capture.paymentMethod) {
+    await savePaymentMethod(payment.userId, provider, capture.paymentMethod).catch((err) =>
+      console.error(`Could not save the payment method of ${payment.orderId}:`, err)
+    );
+  }
+  if (payment.promoCode) {
+    await consumePromoReservation(
+      payment.promoCode,
+      payment.userId,
+      payment.promoReservation
+    ).catch((err) => console.error(`Could not count promo code ${payment.promoCode}:`, err));
+  }
+  // Not awaited: the buyer should not wait for the mail server.
+  sendReceipt(completed);
+  return result;
+}
+
+/**
+ * Starts a checkout for a plan from the catalog and records the payment.
+ * `purchase` is { plan } or { amount }, plus an optional `promoCode` that
+ * discounts the price and is reserved for this order.
+ */
+export async function createOrder(provider, user, purchase) {
+  const planRecord = resolvePurchasePlan(purchase);
+  const { id: plan, price: listPrice, tokens } = planRecord;
+  await assertCanPurchase(user.userId, plan);
+
+  let amount = listPrice;
+  let promo = null;
+  if (purchase.promoCode) {
+    const reservationId = crypto.randomUUID();
+    const reserved = await reservePromoCode(
+      purchase.promoCode,
+      user.userId,
+      planRecord,
+      reservationId
+    );
+    amount = reserved.amount;
+    promo = { code: reserved.promo.code, reservationId, expiresAt: reserved.expiresAt };
+  }
+
+  try {
+    const checkout = await provider.createCheckout({
+      amount,
+      currency: PLAN_CURRENCY,
+      tokens,
+      plan,
+      userId: user.userId,
+      ...(promo ? { expiresAt: promo.expiresAt } : {})
+    });
+
+    await storage.payments.create({
+      id: paymentRecordId(provider, checkout.orderId),
+      userId: user.userId,
+      email: user.email,
+      provider: provider.name,
+      orderId: checkout.orderId,
+      amount: amount.toFixed(2),
+      currency: PLAN_CURRENCY,
+      plan,
+      tokens,
+      ...(promo
+        ? {
+            listPrice: listPrice.toFixed(2),
+            promoCode: promo.code,
+            promoReservation: promo.reservationId
+          }
+        : {}),
+      status: "created",
+      createdAt: new Date().toISOString()
+    });
+
+    return checkout;
+  } catch (err) {
+    if (promo) {
+      await releasePromoReservation(promo.code, promo.reservationId).catch((releaseErr) =>
+        console.error(releaseErr)
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Captures an order and credits its tokens once. The payment record is
+ * claimed (status "capturing") before the provider is called, so a retried
+ * or concurrent request for the same order cannot credit it twice. An
+ * order that was already credited resolves to `{ duplicate: true }`.
+ */
+export async function captureOrder(provider, user, orderIdValue) {
+  const orderId = parseOrderId(orderIdValue);
+  const paymentId = paymentRecordId(provider, orderId);
+
+  const existing = await storage.payments.findById(paymentId);
+  if (existing && existing.userId !== user.userId) {
+    throw paymentError("Order not found.", 404);
+  }
+
+  let payment;
+  let createdHere = false;
+  if (existing) {
+    const claim = await claimPayment(paymentId);
+    if (!claim) {
+      throw paymentError("Order not found.", 404);
+    }
+    if (claim.previousStatus === "completed") {
+      return { duplicate: true, user: await storage.users.findById(user.userId), tokens: 0 };
+    }
+    if (!claim.claimed) {
+      throw paymentError(
+        claim.previousStatus === "capturing"
+          ? "Order capture is already in progress."
+          : `Order was ${claim.previousStatus}.`,
+        409
+      );
+    }
+    payment = claim.payment;
+    if (claim.retryCredit) {
+      return completePayment(provider, payment, recordedCapture(payment));
+    }
+  } else {
+    // Orders created before payments were recorded. A concurrent request
+    // creating the same record first makes this throw a 409.
+    payment = await storage.payments.create({
+      id: paymentId,
+      userId: user.userId,
+      email: user.email,
+      provider: provider.name,
+      orderId,
+      status: "capturing",
+      createdAt: new Date().toISOString()
+    });
+    createdHere = true;
+  }
+
+  let capture;
+  try {
+    // A discounted order must still hold its use of the promo code.
+    if (payment.promoReservation) {
+      await renewPromoReservation(payment.promoCode, payment.userId, payment.promoReservation);
+    }
+    capture = await provider.capture(orderId);
+  } catch (err) {
+    // Let the client retry the capture.
+    const release = createdHere
+      ? storage.payments.remove(paymentId)
+      : storage.payments.update(paymentId, {
+          status: "created",
+          lastError: err.message,
+          updatedAt: new Date().toISOString()
+        });
+    await release.catch((releaseErr) => console.error(releaseErr));
+    throw err;
+  }
+
+  return completePayment(provider, payment, capture);
+}
+
+async function findPaymentForEvent(provider, event) {
+  if (event.orderId) {
+    return storage.payments.findById(paymentRecordId(provider, event.orderId));
+  }
+  if (!event.captureId) return null;
+
+  const payments = await storage.payments.list();
+  return (
+    payments.find(
+      (payment) => payment.provider === provider.name && payment.captureId === event.captureId
+    ) || null
+  );
+}
+
+async function handleCaptureCompleted(provider, event) {
+  const payment = await findPaymentForEvent(provider, event);
+  if (!payment) return "unknown_order";
+
+  const claim = await claimPayment(payment.id);
+  if (!claim?.claimed) {
+    if (claim?.previousStatus === "capturing") {
+      // The buyer's capture request is running; the provider retries the event.
+      throw paymentError("Order capture is already in progress.", 409);
+    }
+    return "already_processed";
+  }
+
+  try {
+    await completePayment(provider, claim.payment, event.capture);
+  } catch (err) {
+    if (err.status === 400) return "rejected";
+    throw err;
+  }
+  return "credited";
+}
+
+/**
+ * Plan to fall back to after `refunded` is taken back: the best of the plan
+ * the user had before buying it and their purchases that still stand.
+ */
+async function planAfterRevoke(userId, refunded) {
+  const payments = await storage.payments.list({ userId });
+  return payments
+    .filter((payment) => payment.status === "completed" && PLAN_RANK[payment.plan])
+    .reduce(
+      (best, payment) => (PLAN_RANK[payment.plan] > PLAN_RANK[best] ? payment.plan : best),
+      refunded.planBefore || "free"
+    );
+}
+
+/**
+ * Takes back the whole purchase, partial refunds included. Returns false
+ * when the payment is not (or no longer) completed.
+ */
+async function revokePayment(payment, status, details = {}) {
+  let revoked = false;
+  const now = new Date().toISOString();
+  await storage.payments.modify(payment.id, (record) => {
+    if (record.status !== "completed") return false;
+    record.status = status;
+    record.revokedAt = now;
+    record.updatedAt = now;
+    revoked = true;
+  });
+  if (!revoked) return false;
+
+  try {
+    const { removed } = await revokeTokens(payment.userId, {
+      tokens: payment.tokensGranted ?? payment.tokens,
+      plan: await planAfterRevoke(payment.userId, payment),
+      reason: status === "refunded" ? "refund" : "reversal",
+      reference: payment.orderId
+    });
+    await storage.payments.update(payment.id, { ...details, tokensRevoked: removed });
+  } catch (err) {
+    await storage.payments.update(payment.id, { status: "completed", revokedAt: undefined });
+    throw err;
+  }
+  return true;
+}
+
+async function handleCaptureRevoked(provider, event) {
+  const payment = await findPaymentForEvent(provider, event);
+  if (!payment) return "unknown_order";
+  return (await revokePayment(payment, event.kind)) ? event.kind : "already_processed";
+}
+
+const EVENT_HANDLERS = {
+  completed: handleCaptureCompleted,
+  refunded: handleCaptureRevoked,
+  reversed: handleCaptureRevoked
+};
+
+// An event left "processing" this long is assumed to have crashed midway.
+const STALE_EVENT_MS = 5 * 60 * 1000;
+
+/**
+ * Records a webhook event before handling it, so each event id is handled
+ * once. Returns the status of an earlier delivery that is processed or
+ * still running, or null when this delivery should be handled.
+ */
+async function claimWebhookEvent(provider, recordId, event) {
+  let previousStatus = null;
+  const now = new Date();
+  const existing = await storage.paymentEvents.modify(recordId, (record) => {
+    previousStatus = record.status;
+    const stale =
+      record.status === "processing" &&
+      now - new Date(record.updatedAt || record.receivedAt) > STALE_EVENT_MS;
+    if (record.status !== "failed" && !stale) return false;
+    record.status = "processing";
+    record.attempts = (record.attempts || 1) + 1;
+    record.updatedAt = now.toISOString();
+    previousStatus = null;
+  });
+  if (existing) return previousStatus;
+
+  await storage.paymentEvents.create({
+    id: recordId,
+    provider: provider.name,
+    eventId: event.id,
+    type: event.type,
+    status: "processing",
+    attempts: 1,
+    receivedAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  });
+  return null;
+}
+
+/**
+ * Verifies and applies a provider notification, so purchases are credited
+ * even when the buyer never comes back to capture, and refunds and
+ * reversals are applied. Resolves to `{ duplicate: true }` for an event id
+ * that was already processed, otherwise to `{ outcome }`.
+ */
+export async function handleWebhook(provider, req) {
+  const event = await provider.parseWebhook(req);
+
+  const recordId = `${provider.name}_${event.id}`;
+  const previousStatus = await claimWebhookEvent(provider, recordId, event);
+  if (previousStatus === "processed") {
+    return { duplicate: true };
+  }
+  if (previousStatus) {
+    throw paymentError("Event is already being processed.", 409);
+  }
+
+  try {
+    const handler = EVENT_HANDLERS[event.kind];
+    const outcome = handler ? await handler(provider, event) : "ignored";
+    await storage.paymentEvents.update(recordId, {
+      status: "processed",
+      outcome,
+      processedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      lastError: undefined
+    });
+    return { outcome };
+  } catch (err) {
+    await storage.paymentEvents
+      .update(recordId, {
+        status: "failed",
+        lastError: err.message,
+        updatedAt: new Date().toISOString()
+      })
+      .catch((updateErr) => console.error(updateErr));
+    throw err;
+  }
+}
+
+/**
+ * Refunds a completed payment with its provider and takes its tokens back
+ * right away; the provider's later refund notification is then a no-op.
+ */
+export async function refundPayment(paymentId, actor) {
+  const payment = await storage.payments.findById(paymentId);
+  if (!payment) {
+    throw paymentError("Payment not found.", 404);
+  }
+  if (payment.status !== "completed") {
+    throw paymentError(`Only completed payments can be refunded (status: ${payment.status}).`, 409);
+  }
+  if (!payment.captureId) {
+    throw paymentError("Payment has no capture to refund.", 409);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const { refundId } = await provider.refund(payment);
+  await revokePayment(payment, "refunded", { refundId, refundedBy: actor });
+  return storage.payments.findById(paymentId);
+}
+
+export async function listPayments(userId) {
+  const payments = await storage.payments.list({ userId });
+  return payments.sort((a, b) => paymentTime(b).localeCompare(paymentTime(a)));
+}
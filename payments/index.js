@@ -0,0 +1,51 @@
+import dotenv from "dotenv";
+import { createPayPalProvider } from "./paypal.js";
+import { createStripeProvider } from "./stripe.js";
+import { createMockProvider } from "./mock.js";
+
+dotenv.config();
+
+/**
+ * Payment providers, looked up by the `:provider` segment of the payment
+ * routes. Each one implements:
+ *
+ * - isConfigured() → whether its credentials (or PAYMENT_MOCK) are set
+ * - publicConfig() → what the client needs to start a checkout
+ * - createCheckout({ amount, currency, tokens, plan, userId, expiresAt? })
+ *   → { orderId, approvalUrl? }
+ *   (`expiresAt` is when a discounted price stops being guaranteed; providers
+ *   whose checkout takes the payment itself must not accept it later)
+ * - capture(orderId) → capture
+ * - parseWebhook(req) → { id, type, kind, orderId?, captureId?, capture? }
+ * - refund(payment) → { refundId }
+ * - chargeRecurring({ amount, currency, plan, userId, period, paymentMethod, reference })
+ *   → { orderId, capture }
+ *   (optional; only providers that can charge without the buyer present
+ *   implement it, and only those can back a subscription. `paymentMethod`
+ *   is what an earlier capture saved for the user, `reference` is unique
+ *   per charge attempt)
+ * - forgetPaymentMethod(paymentMethod) (optional; deletes a saved payment
+ *   method at the provider)
+ *
+ * A capture is { id, status, amount, currency, payeeId?, paymentMethod? }
+ * with status "completed" once the money is taken. `paymentMethod` is a
+ * reusable payment method to keep on the user for recurring charges. Webhook `kind` is "completed",
+ * "refunded", "reversed" or null for events that need no action; the event
+ * names the order or, failing that, the capture. Errors carry `.status`;
+ * parseWebhook rejects bad signatures with 400.
+ */
+export const paymentProviders = {
+  paypal: createPayPalProvider(),
+  stripe: createStripeProvider(),
+  mock: createMockProvider()
+};
+
+export function getPaymentProvider(name) {
+  const provider = Object.hasOwn(paymentProviders, name) ? paymentProviders[name] : null;
+  if (!provider || !provider.isConfigured()) {
+    const err = new Error("Unknown payment provider.");
+    err.status = 404;
+    throw err;
+  }
+  return provider;
+}
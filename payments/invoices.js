@@ -0,0 +1,167 @@
+import { storage } from "../storage/index.js";
+import { getPlan } from "../config/plans.js";
+import { mailTransport, SMTP_FROM } from "../utils/mail.js";
+import { renderTextPdf } from "../utils/pdf.js";
+
+const INVOICE_ISSUER = process.env.INVOICE_ISSUER || "Places To Visit";
+
+function invoiceError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatAmount(value, currency) {
+  return `${Number(value).toFixed(2)} ${currency}`;
+}
+
+function formatDate(value) {
+  return String(value || "").slice(0, 10);
+}
+
+function describeItem(invoice) {
+  const planName = getPlan(invoice.plan)?.name || invoice.plan;
+  if (invoice.type === "subscription") {
+    return (
+      `${planName} subscription, ${formatDate(invoice.periodStart)} to ` +
+      `${formatDate(invoice.periodEnd)} (${invoice.tokens} tokens per month)`
+    );
+  }
+  return `${planName} token pack (${invoice.tokens} tokens)`;
+}
+
+/**
+ * Issues the invoice for a completed payment, or returns the one it already
+ * has. The invoice is a copy of the payment at that time, so later refunds
+ * or catalog changes do not alter it.
+ */
+export async function issueInvoice(payment) {
+  const existing = await storage.invoices.findByPaymentId(payment.id);
+  if (existing) return existing;
+
+  try {
+    return await storage.invoices.create({
+      paymentId: payment.id,
+      orderId: payment.orderId,
+      userId: payment.userId,
+      email: payment.email || (await storage.users.findById(payment.userId))?.email || "",
+      provider: payment.provider,
+      type: payment.type || "tokens",
+      plan: payment.plan,
+      tokens: payment.tokens ?? payment.tokensGranted,
+      amount: payment.amount,
+      currency: payment.currency,
+      ...(payment.promoCode ? { listPrice: payment.listPrice, promoCode: payment.promoCode } : {}),
+      ...(payment.periodStart
+        ? { periodStart: payment.periodStart, periodEnd: payment.periodEnd }
+        : {}),
+      issuedAt: new Date().toISOString()
+    });
+  } catch (err) {
+    // Issued concurrently, e.g. by the capture request and the webhook.
+    if (err.status === 409) return storage.invoices.findByPaymentId(payment.id);
+    throw err;
+  }
+}
+
+async function sendReceiptEmail(invoice) {
+  if (!mailTransport || !SMTP_FROM || !invoice.email) return false;
+
+  const total = formatAmount(invoice.amount, invoice.currency);
+  const lines = [
+    "Thank you for your purchase.",
+    "",
+    `Invoice: ${invoice.id}`,
+    `Order: ${invoice.orderId}`,
+    `Item: ${describeItem(invoice)}`,
+    ...(invoice.promoCode ? [`Promo code: ${invoice.promoCode}`] : []),
+    `Amount paid: ${total}`,
+    `Date: ${formatDate(invoice.issuedAt)}`
+  ];
+  const info = await mailTransport.sendMail({
+    from: SMTP_FROM,
+    to: invoice.email,
+    subject: `Your receipt ${invoice.id}`,
+    text: lines.join("\n"),
+    attachments: [{ filename: `${invoice.id}.pdf`, content: renderInvoicePdf(invoice) }]
+  });
+  await storage.invoices.update(invoice.id, { receiptSentAt: new Date().toISOString() });
+  console.log("✅ Receipt email sent", {
+    to: invoice.email,
+    invoice: invoice.id,
+    messageId: info?.messageId
+  });
+  return true;
+}
+
+/**
+ * Issues the invoice and emails the receipt without failing the payment:
+ * errors are logged, and the invoice can still be issued on download.
+ */
+export async function sendReceipt(payment) {
+  try {
+    const invoice = await issueInvoice(payment);
+    if (!invoice.receiptSentAt) await sendReceiptEmail(invoice);
+    return invoice;
+  } catch (err) {
+    console.error(`Receipt for payment ${payment.id} failed:`, err);
+    return null;
+  }
+}
+
+/**
+ * For account deletion: invoices are kept for accounting but no longer
+ * hold the user's email address.
+ */
+export async function forgetInvoiceEmailsOf(userId) {
+  const invoices = await storage.invoices.list({ userId });
+  for (const invoice of invoices) {
+    if (invoice.email) await storage.invoices.update(invoice.id, { email: "" });
+  }
+}
+
+export function renderInvoicePdf(invoice) {
+  const total = formatAmount(invoice.amount, invoice.currency);
+  const lines = [
+    { text: INVOICE_ISSUER, size: 18, bold: true, gap: 0 },
+    { text: `Invoice ${invoice.id}`, size: 14, bold: true, gap: 36 },
+    { text: "Date", right: formatDate(invoice.issuedAt) },
+    { text: "Billed to", right: invoice.email },
+    { text: "Order", right: invoice.orderId },
+    { text: "Paid with", right: invoice.provider },
+    { gap: 24 },
+    { text: "Description", bold: true, right: "Amount" },
+    {
+      text: describeItem(invoice),
+      right: formatAmount(invoice.listPrice ?? invoice.amount, invoice.currency)
+    }
+  ];
+  if (invoice.promoCode) {
+    const discount = Number(invoice.listPrice) - Number(invoice.amount);
+    lines.push({
+      text: `Promo code ${invoice.promoCode}`,
+      right: `-${formatAmount(discount, invoice.currency)}`
+    });
+  }
+  lines.push({ text: "Total paid", bold: true, right: total, gap: 24 });
+  return renderTextPdf(lines);
+}
+
+/**
+ * The invoice for one of the user's orders. A completed payment without an
+ * invoice (paid before invoices existed) gets one now.
+ */
+export async function getInvoiceForOrder(userId, orderId) {
+  const payments = await storage.payments.list({ userId });
+  const payment = payments.find((record) => record.orderId === orderId);
+  if (!payment) {
+    throw invoiceError("Invoice not found.", 404);
+  }
+
+  const invoice = await storage.invoices.findByPaymentId(payment.id);
+  if (invoice) return invoice;
+  if (payment.status !== "completed" || !payment.amount) {
+    throw invoiceError("Invoice not found.", 404);
+  }
+  return issueInvoice(payment);
+}
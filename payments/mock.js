@@ -0,0 +1,98 @@
+import crypto from "crypto";
+
+function mockError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const EVENT_KINDS = {
+  "capture.completed": "completed",
+  "capture.refunded": "refunded",
+  "capture.reversed": "reversed"
+};
+
+/**
+ * In-process provider for development and tests, enabled with
+ * PAYMENT_MOCK=true. Orders live in memory and every order can be captured
+ * straight away. Webhook events are unsigned JSON:
+ * { id, type: "capture.completed" | "capture.refunded" | "capture.reversed", orderId }.
+ * Recurring charges succeed unless PAYMENT_MOCK_DECLINE=true.
+ */
+export function createMockProvider() {
+  const orders = new Map();
+
+  const toCapture = (order) => ({
+    id: order.captureId,
+    status: order.status,
+    amount: order.amount,
+    currency: order.currency
+  });
+
+  const captureOrder = (order) => {
+    if (order.status === "created") {
+      order.status = "completed";
+      order.captureId = `MOCKCAP-${order.orderId.slice(5)}`;
+    }
+  };
+
+  return {
+    name: "mock",
+
+    isConfigured: () => String(process.env.PAYMENT_MOCK || "").toLowerCase() === "true",
+
+    publicConfig: () => ({ mock: true }),
+
+    async createCheckout({ amount, currency }) {
+      const orderId = `MOCK-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+      orders.set(orderId, { orderId, amount, currency, status: "created" });
+      return { orderId };
+    },
+
+    async capture(orderId) {
+      const order = orders.get(orderId);
+      if (!order) {
+        throw mockError("Mock order not found.", 404);
+      }
+      captureOrder(order);
+      return toCapture(order);
+    },
+
+    async parseWebhook(req) {
+      const event = req.body;
+      if (!event?.id || !event?.type || !event?.orderId) {
+        throw mockError("Invalid webhook event.", 400);
+      }
+
+      const kind = EVENT_KINDS[event.type] || null;
+      const order = orders.get(event.orderId);
+      if (kind === "completed" && order) {
+        captureOrder(order);
+      }
+      return {
+        id: event.id,
+        type: event.type,
+        kind,
+        orderId: event.orderId,
+        capture: order ? toCapture(order) : null
+      };
+    },
+
+    async chargeRecurring({ amount, currency }) {
+      if (String(process.env.PAYMENT_MOCK_DECLINE || "").toLowerCase() === "true") {
+        throw mockError("Mock card declined.", 402);
+      }
+      const orderId = `MOCKSUB-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+      const order = { orderId, amount, currency, status: "created" };
+      orders.set(orderId, order);
+      captureOrder(order);
+      return { orderId, capture: toCapture(order) };
+    },
+
+    async refund(payment) {
+      const order = orders.get(payment.orderId);
+      if (order) order.status = "refunded";
+      return { refundId: `MOCKREF-${crypto.randomBytes(4).toString("hex").toUpperCase()}` };
+    }
+  };
+}
@@ -0,0 +1,260 @@
+const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
+const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
+const DEFAULT_PAYPAL_BASE_URL = "https://api-m.sandbox.paypal.com";
+const PAYPAL_BASE_URL_EXPLICIT = Boolean(process.env.PAYPAL_BASE_URL);
+let payPalBaseUrl = process.env.PAYPAL_BASE_URL || DEFAULT_PAYPAL_BASE_URL;
+const PAYPAL_MERCHANT_ID = process.env.PAYPAL_MERCHANT_ID || "";
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID || "";
+
+function paypalError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function assertPayPalConfigured() {
+  if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
+    throw paypalError("PayPal credentials are not configured.", 500);
+  }
+}
+
+async function getPayPalAccessToken() {
+  assertPayPalConfigured();
+
+  const credentials = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString("base64");
+
+  async function fetchTokenFor(baseUrl) {
+    const response = await fetch(`${baseUrl}/v1/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: "grant_type=client_credentials"
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(data?.error_description || "Failed to fetch PayPal access token.");
+      err.status = 502;
+      err.paypal = { baseUrl, data };
+      throw err;
+    }
+
+    if (!data?.access_token) {
+      const err = new Error("PayPal access token is missing.");
+      err.status = 502;
+      err.paypal = { baseUrl, data };
+      throw err;
+    }
+
+    return data.access_token;
+  }
+
+  try {
+    return await fetchTokenFor(payPalBaseUrl);
+  } catch (err) {
+    const description = String(err?.paypal?.data?.error_description || err?.message || "");
+    const code = String(err?.paypal?.data?.error || "");
+    const looksLikeInvalidClient =
+      code === "invalid_client" || description.toLowerCase().includes("client authentication failed");
+
+    if (!PAYPAL_BASE_URL_EXPLICIT && looksLikeInvalidClient) {
+      const fallbackBaseUrl =
+        payPalBaseUrl === DEFAULT_PAYPAL_BASE_URL
+          ? "https://api-m.paypal.com"
+          : DEFAULT_PAYPAL_BASE_URL;
+
+      try {
+        const token = await fetchTokenFor(fallbackBaseUrl);
+        console.warn(
+          `PayPal auth succeeded on fallback base URL. Consider setting PAYPAL_BASE_URL=${fallbackBaseUrl}.`
+        );
+        payPalBaseUrl = fallbackBaseUrl;
+        return token;
+      } catch (fallbackErr) {
+        throw fallbackErr;
+      }
+    }
+
+    if (looksLikeInvalidClient) {
+      err.message =
+        "Client Authentication failed. Check PAYPAL_CLIENT_ID/PAYPAL_CLIENT_SECRET and ensure PAYPAL_BASE_URL matches (sandbox: https://api-m.sandbox.paypal.com, live: https://api-m.paypal.com).";
+    }
+
+    throw err;
+  }
+}
+
+async function paypalRequest(pathname, { method = "GET", accessToken, body, rawBody } = {}) {
+  const response = await fetch(`${payPalBaseUrl}${pathname}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json"
+    },
+    body: rawBody ?? (body ? JSON.stringify(body) : undefined)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const err = new Error(data?.message || "PayPal request failed.");
+    err.status = 502;
+    throw err;
+  }
+
+  return data;
+}
+
+/**
+ * Asks PayPal to verify a webhook transmission. The event is passed on as
+ * the raw request body; re-serialized JSON can fail verification.
+ */
+async function verifyWebhookSignature(req) {
+  if (!PAYPAL_WEBHOOK_ID) {
+    throw paypalError("PayPal webhook ID is not configured.", 500);
+  }
+
+  const transmission = {
+    auth_algo: req.get("paypal-auth-algo"),
+    cert_url: req.get("paypal-cert-url"),
+    transmission_id: req.get("paypal-transmission-id"),
+    transmission_sig: req.get("paypal-transmission-sig"),
+    transmission_time: req.get("paypal-transmission-time")
+  };
+  if (Object.values(transmission).some((value) => !value) || !req.rawBody?.length) {
+    return false;
+  }
+
+  const fields = JSON.stringify({ ...transmission, webhook_id: PAYPAL_WEBHOOK_ID });
+  const accessToken = await getPayPalAccessToken();
+  const result = await paypalRequest("/v1/notifications/verify-webhook-signature", {
+    method: "POST",
+    accessToken,
+    rawBody: `${fields.slice(0, -1)},"webhook_event":${req.rawBody.toString("utf8")}}`
+  });
+  return result?.verification_status === "SUCCESS";
+}
+
+function toCapture(capture, fallbackStatus) {
+  return {
+    id: capture?.id,
+    status: String(capture?.status || fallbackStatus || "").toLowerCase(),
+    amount: capture?.amount?.value,
+    currency: capture?.amount?.currency_code,
+    payeeId: capture?.payee?.merchant_id
+  };
+}
+
+const EVENT_KINDS = {
+  "PAYMENT.CAPTURE.COMPLETED": "completed",
+  "PAYMENT.CAPTURE.REFUNDED": "refunded",
+  "PAYMENT.CAPTURE.REVERSED": "reversed"
+};
+
+export function createPayPalProvider() {
+  return {
+    name: "paypal",
+    merchantId: PAYPAL_MERCHANT_ID,
+
+    isConfigured: () => Boolean(PAYPAL_CLIENT_ID && PAYPAL_CLIENT_SECRET),
+
+    publicConfig() {
+      if (!PAYPAL_CLIENT_ID) {
+        throw paypalError("PayPal client ID is not configured.", 500);
+      }
+      return { clientId: PAYPAL_CLIENT_ID };
+    },
+
+    async createCheckout({ amount, currency }) {
+      const accessToken = await getPayPalAccessToken();
+      const order = await paypalRequest("/v2/checkout/orders", {
+        method: "POST",
+        accessToken,
+        body: {
+          intent: "CAPTURE",
+          purchase_units: [
+            {
+              amount: {
+                currency_code: currency,
+                value: amount.toFixed(2)
+              }
+            }
+          ]
+        }
+      });
+
+      if (!order?.id) {
+        throw paypalError("PayPal order ID missing.", 502);
+      }
+      return { orderId: order.id };
+    },
+
+    async capture(orderId) {
+      const accessToken = await getPayPalAccessToken();
+      let order;
+      try {
+        order = await paypalRequest(`/v2/checkout/orders/${orderId}/capture`, {
+          method: "POST",
+          accessToken
+        });
+      } catch (err) {
+        // A previous attempt may have captured the order without crediting it.
+        order = await paypalRequest(`/v2/checkout/orders/${orderId}`, { accessToken }).catch(
+          () => null
+        );
+        if (order?.status !== "COMPLETED") throw err;
+      }
+
+      const purchaseUnit = order?.purchase_units?.[0];
+      const capture = purchaseUnit?.payments?.captures?.[0];
+      return {
+        ...toCapture(capture, order?.status),
+        payeeId: purchaseUnit?.payee?.merchant_id
+      };
+    },
+
+    /**
+     * Capture events carry the capture itself; refund events carry the
+     * refund, which links "up" to its capture.
+     */
+    async parseWebhook(req) {
+      if (!(await verifyWebhookSignature(req))) {
+        throw paypalError("Invalid webhook signature.", 400);
+      }
+
+      const event = req.body;
+      if (!event?.id || !event?.event_type) {
+        throw paypalError("Invalid webhook event.", 400);
+      }
+
+      const resource = event.resource || {};
+      const kind = EVENT_KINDS[event.event_type] || null;
+      const captureId =
+        kind === "refunded"
+          ? (resource.links || [])
+              .find((link) => link.rel === "up")
+              ?.href?.match(/\/captures\/([^/?]+)/)?.[1]
+          : resource.id;
+
+      return {
+        id: event.id,
+        type: event.event_type,
+        kind,
+        orderId: resource.supplementary_data?.related_ids?.order_id,
+        captureId,
+        capture: kind === "completed" ? toCapture(resource) : null
+      };
+    },
+
+    async refund(payment) {
+      const accessToken = await getPayPalAccessToken();
+      const refund = await paypalRequest(`/v2/payments/captures/${payment.captureId}/refund`, {
+        method: "POST",
+        accessToken,
+        body: {}
+      });
+      return { refundId: refund?.id };
+    }
+  };
+}
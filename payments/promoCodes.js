@@ -0,0 +1,349 @@
+import { storage } from "../storage/index.js";
+import { getPlan } from "../config/plans.js";
+import { grantTokens } from "../utils/tokenBalance.js";
+
+/*
+ * A promo code either discounts a token pack at checkout ("percent" or
+ * "fixed", `value` in percent or in the catalog currency, optionally only
+ * for `plans`) or grants `tokens` and `plan` directly when redeemed
+ * ("grant"). Redemptions are counted on the code itself, overall and per
+ * user, so limits are checked and updated in one atomic modify.
+ *
+ * A checkout with a discount code reserves one use until the order is paid
+ * (the reservation becomes a redemption), fails, or PROMO_RESERVATION_TTL_MS
+ * passes. Live reservations count against the limits like redemptions:
+ * reservations: { [reservationId]: { userId, expiresAt } }.
+ */
+export const PROMO_TYPES = ["percent", "fixed", "grant"];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+// Stripe checkout sessions expire with the reservation; Stripe needs at
+// least 30 minutes.
+const RESERVATION_TTL_MS = Number(process.env.PROMO_RESERVATION_TTL_MS || 60 * 60 * 1000);
+
+function promoError(message, status, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+export function normalizePromoCode(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function optionalLimit(value, label, errors) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push(`${label} must be a positive integer or null`);
+  }
+  return value;
+}
+
+function optionalDate(value, errors) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push("expiresAt must be a date");
+    return null;
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validates the limits that can be changed after creation.
+ */
+function validateLimits(input, errors) {
+  const limits = {};
+  if ("expiresAt" in input) limits.expiresAt = optionalDate(input.expiresAt, errors);
+  if ("maxRedemptions" in input) {
+    limits.maxRedemptions = optionalLimit(input.maxRedemptions, "maxRedemptions", errors);
+  }
+  if ("perUserLimit" in input) {
+    limits.perUserLimit = optionalLimit(input.perUserLimit, "perUserLimit", errors) ?? 1;
+  }
+  if ("active" in input) {
+    if (typeof input.active !== "boolean") errors.push("active must be true or false");
+    limits.active = input.active;
+  }
+  return limits;
+}
+
+function validatePromoInput(input) {
+  const errors = [];
+  const code = normalizePromoCode(input?.code);
+  if (!CODE_PATTERN.test(code)) {
+    errors.push("code must be 3-32 letters, digits, '-' or '_'");
+  }
+
+  const type = input?.type;
+  if (!PROMO_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${PROMO_TYPES.join(", ")}`);
+  }
+
+  const promo = { id: code, code, type };
+  if (type === "percent" || type === "fixed") {
+    const value = Number(input.value);
+    if (!(value > 0) || (type === "percent" && value > 100)) {
+      errors.push(type === "percent" ? "value must be 1-100" : "value must be a positive amount");
+    }
+    promo.value = value;
+
+    const plans = input.plans ?? null;
+    if (plans !== null && (!Array.isArray(plans) || plans.some((id) => !getPlan(id)?.price))) {
+      errors.push("plans must be a list of purchasable plan ids or null");
+    }
+    promo.plans = plans;
+  }
+  if (type === "grant") {
+    if (!Number.isInteger(input.tokens) || input.tokens < 1) {
+      errors.push("tokens must be a positive integer");
+    }
+    const plan = getPlan(input.plan);
+    if (!plan || plan.id === "free") {
+      errors.push("plan must be a paid plan id");
+    }
+    promo.tokens = input.tokens;
+    promo.plan = input.plan;
+  }
+
+  Object.assign(promo, {
+    expiresAt: null,
+    maxRedemptions: null,
+    perUserLimit: 1,
+    active: true,
+    ...validateLimits(input || {}, errors)
+  });
+
+  if (errors.length) {
+    throw promoError("Invalid promo code.", 400, { errors });
+  }
+  return promo;
+}
+
+export async function listPromoCodes() {
+  const promos = await storage.promoCodes.list();
+  return promos.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+export async function createPromoCode(input, actor) {
+  const promo = validatePromoInput(input);
+  return storage.promoCodes.create({
+    ...promo,
+    redemptions: 0,
+    redeemedBy: {},
+    createdBy: actor,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Only the limits (active, expiresAt, maxRedemptions, perUserLimit) can
+ * change; the discount or grant of a code that may already be in use
+ * cannot.
+ */
+export async function updatePromoCode(codeValue, changes) {
+  const errors = [];
+  const limits = validateLimits(changes || {}, errors);
+  if (errors.length) {
+    throw promoError("Invalid promo code.", 400, { errors });
+  }
+
+  const promo = await storage.promoCodes.update(normalizePromoCode(codeValue), {
+    ...limits,
+    updatedAt: new Date().toISOString()
+  });
+  if (!promo) {
+    throw promoError("Promo code not found.", 404);
+  }
+  return promo;
+}
+
+function liveReservations(reservations, now) {
+  return Object.fromEntries(
+    Object.entries(reservations || {}).filter(
+      ([, reservation]) => new Date(reservation.expiresAt) > now
+    )
+  );
+}
+
+/**
+ * `exceptId` leaves out a reservation that is being renewed.
+ */
+function assertRedeemable(promo, userId, { now = new Date(), exceptId } = {}) {
+  if (!promo || !promo.active) {
+    throw promoError("Promo code not found.", 404);
+  }
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) {
+    throw promoError("Promo code has expired.", 400);
+  }
+  const reserved = Object.values(
+    withoutReservation(liveReservations(promo.reservations, now), exceptId)
+  );
+  const used = (promo.redemptions || 0) + reserved.length;
+  if (promo.maxRedemptions && used >= promo.maxRedemptions) {
+    throw promoError("Promo code has been fully redeemed.", 400);
+  }
+  const usedByUser =
+    (promo.redeemedBy?.[userId] || 0) +
+    reserved.filter((reservation) => reservation.userId === userId).length;
+  if (usedByUser >= (promo.perUserLimit || 1)) {
+    throw promoError("You have already used this promo code.", 400);
+  }
+}
+
+function countRedemption(record, userId) {
+  record.redemptions = (record.redemptions || 0) + 1;
+  record.redeemedBy = { ...record.redeemedBy, [userId]: (record.redeemedBy?.[userId] || 0) + 1 };
+}
+
+function withoutReservation(reservations, reservationId) {
+  const { [reservationId]: removed, ...rest } = reservations || {};
+  return rest;
+}
+
+/**
+ * Counts one redemption by `userId`.
+ */
+export async function recordRedemption(codeValue, userId) {
+  const promo = await storage.promoCodes.modify(normalizePromoCode(codeValue), (record) => {
+    assertRedeemable(record, userId);
+    countRedemption(record, userId);
+  });
+  if (!promo) {
+    throw promoError("Promo code not found.", 404);
+  }
+  return promo;
+}
+
+function releaseRedemption(codeValue, userId) {
+  return storage.promoCodes.modify(normalizePromoCode(codeValue), (record) => {
+    const used = record.redeemedBy?.[userId] || 0;
+    if (!used) return false;
+    record.redemptions = Math.max((record.redemptions || 0) - 1, 0);
+    record.redeemedBy = { ...record.redeemedBy, [userId]: used - 1 };
+  });
+}
+
+function discountedPrice(promo, plan) {
+  if (promo.type === "grant") {
+    throw promoError("This code is redeemed from your account, not at checkout.", 400);
+  }
+  if (promo.plans && !promo.plans.includes(plan.id)) {
+    throw promoError("Promo code does not apply to this plan.", 400);
+  }
+
+  const discount = promo.type === "percent" ? (plan.price * promo.value) / 100 : promo.value;
+  const amount = Number((plan.price - discount).toFixed(2));
+  if (amount <= 0) {
+    throw promoError("Promo code discount cannot cover the full price.", 400);
+  }
+  return amount;
+}
+
+/**
+ * Prices `plan` with a discount code and reserves one use of the code for
+ * the checkout as `reservationId`. Resolves to { promo, amount, expiresAt }.
+ */
+export async function reservePromoCode(codeValue, userId, plan, reservationId) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + RESERVATION_TTL_MS).toISOString();
+  let amount;
+  const promo = await storage.promoCodes.modify(normalizePromoCode(codeValue), (record) => {
+    assertRedeemable(record, userId, { now });
+    amount = discountedPrice(record, plan);
+    record.reservations = {
+      ...liveReservations(record.reservations, now),
+      [reservationId]: { userId, expiresAt }
+    };
+  });
+  if (!promo) {
+    throw promoError("Promo code not found.", 404);
+  }
+  return { promo, amount, expiresAt };
+}
+
+/**
+ * Makes sure an order still holds its reservation before it is paid,
+ * reserving the code again when the reservation lapsed or was released.
+ */
+export async function renewPromoReservation(codeValue, userId, reservationId) {
+  const now = new Date();
+  await storage.promoCodes.modify(normalizePromoCode(codeValue), (record) => {
+    const current = record.reservations?.[reservationId];
+    if (current && new Date(current.expiresAt) > now) return false;
+    assertRedeemable(record, userId, { now, exceptId: reservationId });
+    record.reservations = {
+      ...record.reservations,
+      [reservationId]: {
+        userId,
+        expiresAt: new Date(now.getTime() + RESERVATION_TTL_MS).toISOString()
+      }
+    };
+  });
+}
+
+/**
+ * Turns the reservation of a paid order into a redemption. The order was
+ * priced with the code, so it is counted even when the reservation is gone.
+ */
+export async function consumePromoReservation(codeValue, userId, reservationId) {
+  await storage.promoCodes.modify(normalizePromoCode(codeValue), (record) => {
+    record.reservations = withoutReservation(record.reservations, reservationId);
+    countRedemption(record, userId);
+  });
+}
+
+export async function releasePromoReservation(codeValue, reservationId) {
+  await storage.promoCodes.modify(normalizePromoCode(codeValue), (record) => {
+    if (!record.reservations?.[reservationId]) return false;
+    record.reservations = withoutReservation(record.reservations, reservationId);
+  });
+}
+
+/**
+ * For account deletion: removes the user from the per-user counts and
+ * reservations. Total redemptions stay, so `maxRedemptions` still holds.
+ */
+export async function forgetPromoRedemptionsOf(userId) {
+  const promos = await storage.promoCodes.list();
+  for (const promo of promos) {
+    await storage.promoCodes.modify(promo.id, (record) => {
+      const reservations = Object.entries(record.reservations || {});
+      const own = reservations.filter(([, reservation]) => reservation.userId === userId);
+      if (!(userId in (record.redeemedBy || {})) && !own.length) return false;
+      const { [userId]: removed, ...redeemedBy } = record.redeemedBy || {};
+      record.redeemedBy = redeemedBy;
+      record.reservations = Object.fromEntries(
+        reservations.filter(([, reservation]) => reservation.userId !== userId)
+      );
+    });
+  }
+}
+
+/**
+ * Redeems a "grant" code for the user.
+ */
+export async function redeemGrantCode(codeValue, userId) {
+  const code = normalizePromoCode(codeValue);
+  const existing = await storage.promoCodes.findById(code);
+  if (existing && existing.type !== "grant") {
+    throw promoError("This code gives a discount at checkout.", 400);
+  }
+
+  const promo = await recordRedemption(code, userId);
+  try {
+    const user = await grantTokens(userId, {
+      tokens: promo.tokens,
+      plan: promo.plan,
+      reason: "promo",
+      reference: promo.code
+    });
+    return { user, tokens: promo.tokens };
+  } catch (err) {
+    await releaseRedemption(code, userId).catch((releaseErr) => console.error(releaseErr));
+    throw err;
+  }
+}
@@ -0,0 +1,254 @@
+import crypto from "crypto";
+
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "";
+const STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || "";
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || "";
+const STRIPE_BASE_URL = (process.env.STRIPE_BASE_URL || "https://api.stripe.com").replace(/\/+$/, "");
+const STRIPE_SIGNATURE_TOLERANCE_S = 5 * 60;
+
+function stripeError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Flattens nested params into Stripe's form encoding, e.g.
+ * { metadata: { userId: "u_1" } } → metadata[userId]=u_1.
+ */
+function toFormParams(params, prefix = "", form = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === "object") {
+      toFormParams(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  }
+  return form;
+}
+
+async function stripeRequest(pathname, { method = "GET", params, idempotencyKey } = {}) {
+  if (!STRIPE_SECRET_KEY) {
+    throw stripeError("Stripe secret key is not configured.", 500);
+  }
+
+  const response = await fetch(`${STRIPE_BASE_URL}${pathname}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${STRIPE_SECRET_KEY}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+      ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {})
+    },
+    body: params ? toFormParams(params).toString() : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // 402 is a declined card; anything else is Stripe's problem.
+    const status = response.status === 402 ? 402 : 502;
+    throw stripeError(data?.error?.message || "Stripe request failed.", status);
+  }
+  return data;
+}
+
+/**
+ * Checks the `Stripe-Signature` header: an HMAC-SHA256 of
+ * "<timestamp>.<raw body>" with the endpoint's signing secret.
+ */
+function verifyWebhookSignature(req) {
+  if (!STRIPE_WEBHOOK_SECRET) {
+    throw stripeError("Stripe webhook secret is not configured.", 500);
+  }
+
+  const parts = String(req.get("stripe-signature") || "")
+    .split(",")
+    .map((part) => part.split("="));
+  const timestamp = parts.find(([key]) => key === "t")?.[1];
+  const signatures = parts.filter(([key]) => key === "v1").map(([, value]) => value);
+  if (!timestamp || !signatures.length || !req.rawBody?.length) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > STRIPE_SIGNATURE_TOLERANCE_S) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", STRIPE_WEBHOOK_SECRET)
+    .update(`${timestamp}.${req.rawBody.toString("utf8")}`)
+    .digest();
+  return signatures.some((signature) => {
+    const actual = Buffer.from(signature, "hex");
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+}
+
+function successUrl() {
+  if (process.env.STRIPE_SUCCESS_URL) return process.env.STRIPE_SUCCESS_URL;
+  const url = new URL("/", process.env.CLIENT_URL || "http://localhost:3000");
+  url.searchParams.set("payment", "success");
+  // Stripe fills in the placeholder; it must not be URL-encoded.
+  return `${url.toString()}&session_id={CHECKOUT_SESSION_ID}`;
+}
+
+function cancelUrl() {
+  if (process.env.STRIPE_CANCEL_URL) return process.env.STRIPE_CANCEL_URL;
+  const url = new URL("/", process.env.CLIENT_URL || "http://localhost:3000");
+  url.searchParams.set("payment", "cancelled");
+  return url.toString();
+}
+
+/**
+ * A Checkout Session stands in for the order; its payment intent is the
+ * capture. When the intent is expanded, the card it saved for later
+ * charges comes along as `paymentMethod`.
+ */
+function toCapture(session) {
+  const intent = session?.payment_intent;
+  const idOf = (value) => (typeof value === "string" ? value : value?.id);
+  const paymentMethodId = idOf(intent?.payment_method);
+  const customerId = idOf(session?.customer);
+  return {
+    id: idOf(intent),
+    status: session?.payment_status === "paid" ? "completed" : String(session?.status || ""),
+    amount: Number(session?.amount_total) / 100,
+    currency: String(session?.currency || "").toUpperCase(),
+    ...(customerId && paymentMethodId ? { paymentMethod: { customerId, paymentMethodId } } : {})
+  };
+}
+
+export function createStripeProvider() {
+  return {
+    name: "stripe",
+
+    isConfigured: () => Boolean(STRIPE_SECRET_KEY),
+
+    publicConfig() {
+      if (!STRIPE_PUBLISHABLE_KEY) {
+        throw stripeError("Stripe publishable key is not configured.", 500);
+      }
+      return { publishableKey: STRIPE_PUBLISHABLE_KEY };
+    },
+
+    async createCheckout({ amount, currency, tokens, plan, userId, expiresAt }) {
+      const session = await stripeRequest("/v1/checkout/sessions", {
+        method: "POST",
+        params: {
+          mode: "payment",
+          success_url: successUrl(),
+          cancel_url: cancelUrl(),
+          client_reference_id: userId,
+          // Saves the card on a customer so subscriptions can charge it later.
+          customer_creation: "always",
+          payment_intent_data: { setup_future_usage: "off_session" },
+          line_items: {
+            0: {
+              quantity: 1,
+              price_data: {
+                currency: currency.toLowerCase(),
+                unit_amount: Math.round(amount * 100),
+                product_data: { name: `${tokens} tokens (${plan})` }
+              }
+            }
+          },
+          metadata: { userId },
+          expires_at: expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : undefined
+        }
+      });
+
+      if (!session?.id) {
+        throw stripeError("Stripe session ID missing.", 502);
+      }
+      return { orderId: session.id, approvalUrl: session.url };
+    },
+
+    /**
+     * Checkout captures the payment itself; confirming only reads the
+     * session back.
+     */
+    async capture(orderId) {
+      const session = await stripeRequest(
+        `/v1/checkout/sessions/${orderId}?expand[]=payment_intent`
+      );
+      return toCapture(session);
+    },
+
+    async parseWebhook(req) {
+      if (!verifyWebhookSignature(req)) {
+        throw stripeError("Invalid webhook signature.", 400);
+      }
+
+      const event = req.body;
+      if (!event?.id || !event?.type) {
+        throw stripeError("Invalid webhook event.", 400);
+      }
+
+      const object = event.data?.object || {};
+      const parsed = { id: event.id, type: event.type, kind: null };
+      switch (event.type) {
+        case "checkout.session.completed":
+        case "checkout.session.async_payment_succeeded":
+          // Delayed payment methods complete the session before they are paid.
+          if (object.payment_status === "paid") {
+            return { ...parsed, kind: "completed", orderId: object.id, capture: toCapture(object) };
+          }
+          return parsed;
+        case "charge.refunded":
+          return { ...parsed, kind: "refunded", captureId: object.payment_intent };
+        case "charge.dispute.created":
+          return { ...parsed, kind: "reversed", captureId: object.payment_intent };
+        default:
+          return parsed;
+      }
+    },
+
+    /**
+     * Charges the card saved by an earlier checkout without the buyer
+     * present. `reference` makes retries of the same charge idempotent.
+     */
+    async chargeRecurring({ amount, currency, plan, userId, paymentMethod, reference }) {
+      if (!paymentMethod?.customerId || !paymentMethod?.paymentMethodId) {
+        throw stripeError("No saved card. Buy tokens with Stripe once to save one.", 409);
+      }
+
+      const intent = await stripeRequest("/v1/payment_intents", {
+        method: "POST",
+        idempotencyKey: reference,
+        params: {
+          amount: Math.round(amount * 100),
+          currency: currency.toLowerCase(),
+          customer: paymentMethod.customerId,
+          payment_method: paymentMethod.paymentMethodId,
+          off_session: true,
+          confirm: true,
+          description: `${plan} subscription`,
+          metadata: { userId, plan }
+        }
+      });
+      return {
+        orderId: intent.id,
+        capture: {
+          id: intent.id,
+          status: intent.status === "succeeded" ? "completed" : String(intent.status || ""),
+          amount: Number(intent.amount_received) / 100,
+          currency: String(intent.currency || "").toUpperCase()
+        }
+      };
+    },
+
+    async forgetPaymentMethod(paymentMethod) {
+      await stripeRequest(`/v1/payment_methods/${paymentMethod.paymentMethodId}/detach`, {
+        method: "POST"
+      });
+    },
+
+    async refund(payment) {
+      const refund = await stripeRequest("/v1/refunds", {
+        method: "POST",
+        params: { payment_intent: payment.captureId }
+      });
+      return { refundId: refund?.id };
+    }
+  };
+}
@@ -0,0 +1,347 @@
+import { storage } from "../storage/index.js";
+import { PLAN_CURRENCY, getPlan } from "../config/plans.js";
+import {
+  hasActiveSubscription,
+  normalizeUserTokens,
+  refillTokens
+} from "../utils/tokenBalance.js";
+import { getPaymentProvider } from "./index.js";
+import { sendReceipt } from "./invoices.js";
+
+// Only for trying renewals locally; real periods are calendar months.
+const PERIOD_MS = Number(process.env.SUBSCRIPTION_PERIOD_MS || 0);
+const RENEWAL_INTERVAL_MS = Number(process.env.SUBSCRIPTION_RENEWAL_INTERVAL_MS ?? 60 * 60 * 1000);
+const RETRY_DELAY_MS = Number(process.env.SUBSCRIPTION_RETRY_DELAY_MS || 24 * 60 * 60 * 1000);
+const MAX_RENEWAL_ATTEMPTS = 3;
+// A start that has not finished in this time is assumed to have crashed.
+const STALE_START_MS = 10 * 60 * 1000;
+
+/*
+ * The subscription lives on the user record:
+ * { plan, provider, status, startedAt, currentPeriodStart, currentPeriodEnd,
+ *   cancelAtPeriodEnd, canceledAt, renewalAttempts, nextAttemptAt, endedAt }
+ * with status starting → active ⇄ past_due → ended. Charges go to the
+ * payment method an earlier checkout saved in user.paymentMethods[provider]
+ * (the mock provider needs none).
+ */
+
+function subscriptionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function nextPeriodEnd(start) {
+  if (PERIOD_MS > 0) return new Date(start.getTime() + PERIOD_MS);
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+  // Jan 31 + 1 month overflows into March; end on the last day of February.
+  if (end.getUTCDate() !== start.getUTCDate()) end.setUTCDate(0);
+  return end;
+}
+
+function subscriptionPlan(planId) {
+  const plan = getPlan(String(planId || ""));
+  if (!plan?.subscription) {
+    throw subscriptionError("Plan is not available as a subscription.", 400);
+  }
+  return plan;
+}
+
+function recurringProvider(name) {
+  const provider = getPaymentProvider(name);
+  if (typeof provider.chargeRecurring !== "function") {
+    throw subscriptionError(`Subscriptions are not available with ${provider.name}.`, 400);
+  }
+  return provider;
+}
+
+/**
+ * Charges one billing period and refills the allowance. The payment record
+ * is created before the charge under an id unique to the period and
+ * attempt, so overlapping runs cannot charge the same attempt twice.
+ */
+async function chargePeriod(userId, subscription, periodStart, attempt) {
+  const plan = subscriptionPlan(subscription.plan);
+  const provider = recurringProvider(subscription.provider);
+  const periodEnd = nextPeriodEnd(periodStart);
+  const { price, tokens } = plan.subscription;
+  const user = await storage.users.findById(userId);
+
+  const payment = await storage.payments.create({
+    id: `${provider.name}_sub_${userId}_${periodStart.getTime()}_${attempt}`,
+    userId,
+    provider: provider.name,
+    type: "subscription",
+    plan: plan.id,
+    amount: price.toFixed(2),
+    currency: PLAN_CURRENCY,
+    tokens,
+    status: "capturing",
+    periodStart: periodStart.toISOString(),
+    periodEnd: periodEnd.toISOString(),
+    createdAt: new Date().toISOString()
+  });
+
+  let charge;
+  try {
+    charge = await provider.chargeRecurring({
+      amount: price,
+      currency: PLAN_CURRENCY,
+      plan: plan.id,
+      userId,
+      period: { start: periodStart, end: periodEnd },
+      paymentMethod: user?.paymentMethods?.[provider.name] || null,
+      reference: payment.id
+    });
+    if (charge?.capture?.status !== "completed") {
+      throw subscriptionError("Subscription payment was not completed.", 402);
+    }
+  } catch (err) {
+    await storage.payments.update(payment.id, {
+      status: "failed",
+      failureReason: err.message,
+      updatedAt: new Date().toISOString()
+    });
+    throw err;
+  }
+
+  const { added } = await refillTokens(userId, {
+    allowance: tokens,
+    plan: plan.id,
+    reason: "subscription",
+    reference: charge.orderId
+  });
+  const now = new Date().toISOString();
+  const completed = await storage.payments.update(payment.id, {
+    status: "completed",
+    orderId: charge.orderId,
+    captureId: charge.capture.id,
+    tokensGranted: added,
+    capturedAt: now,
+    updatedAt: now
+  });
+  await sendReceipt(completed);
+  return periodEnd;
+}
+
+export async function getSubscription(userId) {
+  const user = await storage.users.findById(userId);
+  if (!user) {
+    throw subscriptionError("User not found.", 404);
+  }
+  return { subscription: user.subscription || null, active: hasActiveSubscription(user) };
+}
+
+/**
+ * Charges the first month and activates the subscription.
+ */
+export async function startSubscription(userId, { plan: planId, provider: providerName }) {
+  const plan = subscriptionPlan(planId);
+  const provider = recurringProvider(providerName);
+
+  const now = new Date();
+  let previous;
+  const claimed = await storage.users.modify(userId, (record) => {
+    const current = record.subscription;
+    const starting =
+      current?.status === "starting" &&
+      now - new Date(current.updatedAt || current.startedAt) < STALE_START_MS;
+    if (hasActiveSubscription(record) || starting) {
+      throw subscriptionError("You already have a subscription.", 409);
+    }
+    previous = current;
+    record.subscription = {
+      plan: plan.id,
+      provider: provider.name,
+      status: "starting",
+      startedAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+  });
+  if (!claimed) {
+    throw subscriptionError("User not found.", 404);
+  }
+
+  let periodEnd;
+  try {
+    periodEnd = await chargePeriod(userId, claimed.subscription, now, 1);
+  } catch (err) {
+    await storage.users
+      .update(userId, { subscription: previous })
+      .catch((restoreErr) => console.error(restoreErr));
+    throw err;
+  }
+
+  const user = await storage.users.modify(userId, (record) => {
+    record.subscription = {
+      ...record.subscription,
+      status: "active",
+      currentPeriodStart: now.toISOString(),
+      currentPeriodEnd: periodEnd.toISOString(),
+      cancelAtPeriodEnd: false,
+      renewalAttempts: 0,
+      updatedAt: new Date().toISOString()
+    };
+    normalizeUserTokens(record);
+  });
+  return { subscription: user.subscription, user };
+}
+
+async function changeActiveSubscription(userId, change) {
+  const user = await storage.users.modify(userId, (record) => {
+    if (!hasActiveSubscription(record)) {
+      throw subscriptionError("No active subscription.", 409);
+    }
+    if (change(record.subscription) === false) return false;
+    record.subscription.updatedAt = new Date().toISOString();
+  });
+  if (!user) {
+    throw subscriptionError("User not found.", 404);
+  }
+  return user.subscription;
+}
+
+/**
+ * Stops renewal; the plan and allowance stay until the paid period ends.
+ */
+export function cancelSubscription(userId) {
+  return changeActiveSubscription(userId, (subscription) => {
+    if (subscription.cancelAtPeriodEnd) return false;
+    subscription.cancelAtPeriodEnd = true;
+    subscription.canceledAt = new Date().toISOString();
+  });
+}
+
+export function resumeSubscription(userId) {
+  return changeActiveSubscription(userId, (subscription) => {
+    if (!subscription.cancelAtPeriodEnd) return false;
+    subscription.cancelAtPeriodEnd = false;
+    delete subscription.canceledAt;
+  });
+}
+
+function isDue(subscription, now) {
+  return (
+    ["active", "past_due"].includes(subscription?.status) &&
+    new Date(subscription.currentPeriodEnd) <= now &&
+    (!subscription.nextAttemptAt || new Date(subscription.nextAttemptAt) <= now)
+  );
+}
+
+function endSubscription(userId, reason) {
+  return storage.users.modify(userId, (record) => {
+    record.subscription = {
+      ...record.subscription,
+      status: "ended",
+      endedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      ...(reason ? { endReason: reason } : {})
+    };
+    normalizeUserTokens(record);
+  });
+}
+
+/**
+ * Ends the subscription right away, without a refund, e.g. when the
+ * account is deleted.
+ */
+export async function stopSubscription(userId, reason) {
+  const user = await storage.users.findById(userId);
+  if (!user?.subscription || user.subscription.status === "ended") return null;
+  return endSubscription(userId, reason);
+}
+
+async function renewSubscription(user, now) {
+  const subscription = user.subscription;
+  if (subscription.cancelAtPeriodEnd) {
+    await endSubscription(user.id, "canceled");
+    return "ended";
+  }
+
+  const periodStart = new Date(subscription.currentPeriodEnd);
+  const attempt = (subscription.renewalAttempts || 0) + 1;
+  try {
+    const periodEnd = await chargePeriod(user.id, subscription, periodStart, attempt);
+    await storage.users.modify(user.id, (record) => {
+      record.subscription = {
+        ...record.subscription,
+        status: "active",
+        currentPeriodStart: periodStart.toISOString(),
+        currentPeriodEnd: periodEnd.toISOString(),
+        renewalAttempts: 0,
+        nextAttemptAt: undefined,
+        lastRenewalError: undefined,
+        updatedAt: new Date().toISOString()
+      };
+    });
+    return "renewed";
+  } catch (err) {
+    if (attempt >= MAX_RENEWAL_ATTEMPTS) {
+      await endSubscription(user.id, err.message);
+      return "ended";
+    }
+    await storage.users.modify(user.id, (record) => {
+      record.subscription = {
+        ...record.subscription,
+        status: "past_due",
+        renewalAttempts: attempt,
+        nextAttemptAt: new Date(now.getTime() + RETRY_DELAY_MS).toISOString(),
+        lastRenewalError: err.message,
+        updatedAt: new Date().toISOString()
+      };
+    });
+    return "failed";
+  }
+}
+
+let renewalRun = null;
+
+/**
+ * Renews every subscription whose period has ended, ends canceled ones and
+ * retries failed charges up to MAX_RENEWAL_ATTEMPTS times. Overlapping
+ * calls share one run.
+ */
+export function renewDueSubscriptions({ now = new Date() } = {}) {
+  if (renewalRun) return renewalRun;
+
+  renewalRun = (async () => {
+    const summary = { renewed: 0, ended: 0, failed: 0 };
+    const users = await storage.users.list();
+    for (const user of users.filter((record) => isDue(record.subscription, now))) {
+      try {
+        summary[await renewSubscription(user, now)] += 1;
+      } catch (err) {
+        console.error(`Subscription renewal failed for ${user.id}:`, err);
+        summary.failed += 1;
+      }
+    }
+    return summary;
+  })().finally(() => {
+    renewalRun = null;
+  });
+  return renewalRun;
+}
+
+/**
+ * Runs renewals every SUBSCRIPTION_RENEWAL_INTERVAL_MS (default one hour;
+ * 0 disables the schedule, e.g. when `npm run renew:subscriptions` runs
+ * from cron instead).
+ */
+export function startRenewalSchedule() {
+  if (!(RENEWAL_INTERVAL_MS > 0)) return null;
+
+  const run = () =>
+    renewDueSubscriptions()
+      .then((summary) => {
+        if (summary.renewed || summary.ended || summary.failed) {
+          console.log("Subscription renewals:", summary);
+        }
+      })
+      .catch((err) => console.error("Subscription renewal run failed:", err));
+
+  const timer = setInterval(run, RENEWAL_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+}
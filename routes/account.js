@@ -0,0 +1,247 @@
+import { requireAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { storage } from "../storage/index.js";
+import {
+  getSubscription,
+  startSubscription,
+  cancelSubscription,
+  resumeSubscription
+} from "../payments/subscriptions.js";
+import { redeemGrantCode } from "../payments/promoCodes.js";
+import {
+  updateName,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  deleteAccount,
+  exportAccount
+} from "../utils/account.js";
+import { createSession, sessionMetaFromRequest } from "../utils/sessions.js";
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  twoFactorSummary
+} from "../utils/twoFactor.js";
+import { buildClientUrl, buildPublicApiBase } from "../utils/urls.js";
+import { sendError } from "../utils/http.js";
+
+export function parsePage(query, { defaultLimit = 50, maxLimit = 200 } = {}) {
+  return {
+    limit: Math.min(Math.max(Number.parseInt(query.limit, 10) || defaultLimit, 1), maxLimit),
+    offset: Math.max(Number.parseInt(query.offset, 10) || 0, 0)
+  };
+}
+
+export function registerAccountRoutes(app) {
+  // Routes that check the current password must not become a guessing oracle.
+  const passwordRateLimit = rateLimit("accountSecurity", { by: "user" });
+  // Limits guessing of promo codes.
+  const redeemRateLimit = rateLimit("promoRedeem", { by: "user" });
+
+  // Token history of the signed-in user, newest first.
+  app.get("/api/account/ledger", requireAuth, async (req, res) => {
+    try {
+      const { limit, offset } = parsePage(req.query);
+      const { total, entries } = await storage.ledger.list({
+        userId: req.user.userId,
+        limit,
+        offset
+      });
+      return res.json({ total, limit, offset, entries });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Failed to load token history." });
+    }
+  });
+
+  app.get("/api/account/subscription", requireAuth, async (req, res) => {
+    try {
+      return res.json(await getSubscription(req.user.userId));
+    } catch (err) {
+      return sendError(res, err, "Failed to load subscription.");
+    }
+  });
+
+  /**
+   * Starts a monthly subscription. Body: { plan, provider }; the provider
+   * must support recurring charges. With Stripe the user needs a card saved
+   * by an earlier Stripe checkout.
+   */
+  app.post("/api/account/subscription", requireAuth, async (req, res) => {
+    try {
+      const { subscription, user } = await startSubscription(req.user.userId, {
+        plan: req.body?.plan,
+        provider: String(req.body?.provider || "")
+      });
+      return res.status(201).json({ subscription, plan: user.plan, tokens: user.tokens });
+    } catch (err) {
+      return sendError(res, err, "Failed to start subscription.");
+    }
+  });
+
+  app.post("/api/account/subscription/cancel", requireAuth, async (req, res) => {
+    try {
+      return res.json({ subscription: await cancelSubscription(req.user.userId) });
+    } catch (err) {
+      return sendError(res, err, "Failed to cancel subscription.");
+    }
+  });
+
+  app.post("/api/account/subscription/resume", requireAuth, async (req, res) => {
+    try {
+      return res.json({ subscription: await resumeSubscription(req.user.userId) });
+    } catch (err) {
+      return sendError(res, err, "Failed to resume subscription.");
+    }
+  });
+
+  // Redeems a promo code that grants tokens. Discount codes are applied at checkout.
+  app.post("/api/account/redeem", requireAuth, redeemRateLimit, async (req, res) => {
+    try {
+      const { user, tokens } = await redeemGrantCode(req.body?.code, req.user.userId);
+      return res.json({ ok: true, plan: user.plan, tokensAdded: tokens, totalTokens: user.tokens });
+    } catch (err) {
+      return sendError(res, err, "Failed to redeem promo code.");
+    }
+  });
+
+  app.patch("/api/account/profile", requireAuth, async (req, res) => {
+    try {
+      const user = await updateName(req.user.userId, req.body?.name);
+      return res.json({ name: user.name, email: user.email });
+    } catch (err) {
+      return sendError(res, err, "Failed to update profile.");
+    }
+  });
+
+  /**
+   * Body: { currentPassword, newPassword }. Every other session is signed
+   * out; the response carries a new session for this device.
+   */
+  app.post("/api/account/password", requireAuth, passwordRateLimit, async (req, res) => {
+    try {
+      const user = await changePassword(req.user.userId, {
+        currentPassword: req.body?.currentPassword,
+        newPassword: req.body?.newPassword
+      });
+      const { token, refreshToken } = await createSession(user, sessionMetaFromRequest(req));
+      return res.json({ ok: true, token, refreshToken });
+    } catch (err) {
+      return sendError(res, err, "Failed to change password.");
+    }
+  });
+
+  // Body: { email, password }. Emails a confirmation link to the new address.
+  app.post("/api/account/email", requireAuth, passwordRateLimit, async (req, res) => {
+    try {
+      const email = await requestEmailChange(
+        req.user.userId,
+        { email: req.body?.email, password: req.body?.password },
+        (token) => {
+          const url = new URL("/api/account/email/confirm", buildPublicApiBase(req));
+          url.searchParams.set("token", token);
+          return url.toString();
+        }
+      );
+      return res.json({ message: `Confirmation email sent to ${email}. Please check your inbox.` });
+    } catch (err) {
+      return sendError(res, err, "Failed to change email.");
+    }
+  });
+
+  // Link from the confirmation email; redirects to the client like /api/auth/confirm.
+  app.get("/api/account/email/confirm", async (req, res) => {
+    try {
+      await confirmEmailChange(req.query.token);
+      const url = new URL(buildClientUrl(req, "/"));
+      url.searchParams.set("emailChanged", "1");
+      return res.redirect(url.toString());
+    } catch (err) {
+      if (err.status && err.status < 500) {
+        return res.status(err.status).send(err.message);
+      }
+      console.error(err);
+      return res.status(500).send("Failed to confirm email change.");
+    }
+  });
+
+  // Body: { password }.
+  app.delete("/api/account", requireAuth, passwordRateLimit, async (req, res) => {
+    try {
+      await deleteAccount(req.user.userId, req.body?.password);
+      return res.json({ ok: true });
+    } catch (err) {
+      return sendError(res, err, "Failed to delete account.");
+    }
+  });
+
+  app.get("/api/account/export", requireAuth, async (req, res) => {
+    try {
+      const data = await exportAccount(req.user.userId);
+      res.set("Content-Disposition", `attachment; filename="account-${req.user.userId}.json"`);
+      return res.json(data);
+    } catch (err) {
+      return sendError(res, err, "Failed to export account.");
+    }
+  });
+
+  app.get("/api/account/2fa", requireAuth, async (req, res) => {
+    try {
+      return res.json(twoFactorSummary(await storage.users.findById(req.user.userId)));
+    } catch (err) {
+      return sendError(res, err, "Failed to load two-factor status.");
+    }
+  });
+
+  /**
+   * Starts enrollment: returns the secret and an otpauth:// URI for the
+   * authenticator app. Nothing changes until /2fa/confirm gets a code.
+   */
+  app.post("/api/account/2fa/setup", requireAuth, async (req, res) => {
+    try {
+      return res.json(await beginEnrollment(req.user.userId));
+    } catch (err) {
+      return sendError(res, err, "Failed to start two-factor setup.");
+    }
+  });
+
+  // Body: { code }. Returns the recovery codes; they are not shown again.
+  app.post("/api/account/2fa/confirm", requireAuth, passwordRateLimit, async (req, res) => {
+    try {
+      const recoveryCodes = await confirmEnrollment(req.user.userId, req.body?.code);
+      return res.json({ enabled: true, recoveryCodes });
+    } catch (err) {
+      return sendError(res, err, "Failed to enable two-factor authentication.");
+    }
+  });
+
+  // Body: { password, code }.
+  app.post("/api/account/2fa/disable", requireAuth, passwordRateLimit, async (req, res) => {
+    try {
+      await disableTwoFactor(req.user.userId, {
+        password: req.body?.password,
+        code: req.body?.code
+      });
+      return res.json({ enabled: false });
+    } catch (err) {
+      return sendError(res, err, "Failed to disable two-factor authentication.");
+    }
+  });
+
+  // Body: { code }. Replaces every recovery code.
+  app.post(
+    "/api/account/2fa/recovery-codes",
+    requireAuth,
+    passwordRateLimit,
+    async (req, res) => {
+      try {
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.userId, req.body?.code);
+        return res.json({ recoveryCodes });
+      } catch (err) {
+        return sendError(res, err, "Failed to create recovery codes.");
+      }
+    }
+  );
+}
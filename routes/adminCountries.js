@@ -0,0 +1,366 @@
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import {
+  lockCountryFile,
+  readCountryForUpdate,
+  updateCountryFile,
+  writeCountryFile,
+  sortCities,
+  removeCityTranslations,
+  writeCityTranslation
+} from "../utils/countryRepository.js";
+import {
+  validateCity,
+  CITY_FIELDS,
+  INTEREST_CATEGORIES,
+  SEASON_KEYS
+} from "../utils/citySchema.js";
+import { normalizeName, normalizeKey } from "../utils/normalize.js";
+import {
+  revisionMetaFromRequest,
+  listRevisions,
+  getRevision
+} from "../utils/countryRevisions.js";
+import { httpError, sendError } from "../utils/http.js";
+
+const LIST_SECTIONS = ["places", "hidden_gems"];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function findCityIndex(cities, cityName) {
+  const target = normalizeName(cityName);
+  return cities.findIndex((entry) => normalizeName(entry?.name) === target);
+}
+
+/**
+ * Entries are addressed by their name or, for unnamed duplicates, by their
+ * numeric position in the list.
+ */
+function findEntryIndex(items, key) {
+  if (!Array.isArray(items)) return -1;
+  const byName = items.findIndex((item) => normalizeName(item?.name) === normalizeName(key));
+  if (byName !== -1) return byName;
+  if (/^\d+$/.test(key)) {
+    const index = Number(key);
+    return index < items.length ? index : -1;
+  }
+  return -1;
+}
+
+function resolveCategory(interests, key) {
+  const known = [...INTEREST_CATEGORIES, ...Object.keys(interests || {})];
+  return known.find((category) => normalizeKey(category) === normalizeKey(key)) || null;
+}
+
+function assertNoNewErrors(before, after) {
+  const existing = new Set(
+    validateCity(before).errors.map((error) => `${error.path}|${error.message}`)
+  );
+  const introduced = validateCity(after).errors.filter(
+    (error) => !existing.has(`${error.path}|${error.message}`)
+  );
+  if (introduced.length) {
+    throw httpError("City failed schema validation.", 422, { errors: introduced });
+  }
+}
+
+function requireBodyObject(body) {
+  if (!isPlainObject(body) || !Object.keys(body).length) {
+    throw httpError("Request body must be a non-empty object.", 400);
+  }
+  return body;
+}
+
+async function loadCountry(fileName) {
+  const data = await readCountryForUpdate(fileName);
+  data.cities = Array.isArray(data.cities) ? data.cities : [];
+  return data;
+}
+
+/**
+ * Applies `mutate` to a copy of one city, rejects the change if it adds
+ * schema errors, then writes the file back in alphabetical order.
+ */
+async function updateCity(req, mutate) {
+  const { file: fileName, city: cityName } = req.params;
+  let result;
+  await updateCountryFile(
+    fileName,
+    (data) => {
+      data.cities = Array.isArray(data.cities) ? data.cities : [];
+      const index = findCityIndex(data.cities, cityName);
+      if (index === -1) {
+        throw httpError("City not found.", 404);
+      }
+
+      const before = data.cities[index];
+      const after = structuredClone(before);
+      mutate(after, { data, before });
+      assertNoNewErrors(before, after);
+
+      data.cities[index] = after;
+      sortCities(data.cities);
+      result = { previousName: before.name, city: after };
+    },
+    revisionMetaFromRequest(req)
+  );
+  return result;
+}
+
+/**
+ * Holds the locks of several country files, always taken in the same order
+ * so two requests locking the same pair cannot deadlock.
+ */
+function lockCountryFiles(fileNames, task) {
+  const [first, ...rest] = [...new Set(fileNames)].sort();
+  if (!first) return task();
+  return lockCountryFile(first, () => lockCountryFiles(rest, task));
+}
+
+async function renameTranslations(fileName, fromName, toName, meta) {
+  const translations = await removeCityTranslations(fileName, fromName, meta);
+  for (const { lang, city } of translations) {
+    await writeCityTranslation(fileName, lang, { ...city, name: toName }, meta);
+  }
+}
+
+export function registerAdminCountryRoutes(app) {
+  const base = "/api/admin/countries/:file/cities/:city";
+
+  app.get("/api/admin/countries/:file/revisions", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const revisions = await listRevisions(req.params.file);
+      return res.json({ file: req.params.file, revisions });
+    } catch (err) {
+      return sendError(res, err, "Failed to load revisions.");
+    }
+  });
+
+  app.get("/api/admin/countries/:file/revisions/:id", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const revision = await getRevision(req.params.file, req.params.id);
+      if (!revision) {
+        return res.status(404).json({ error: "Revision not found." });
+      }
+      return res.json(revision);
+    } catch (err) {
+      return sendError(res, err, "Failed to load revision.");
+    }
+  });
+
+  /**
+   * Restores the content the given revision replaced, undoing it and every
+   * later change. The rollback is itself recorded as a new revision.
+   */
+  app.post(
+    "/api/admin/countries/:file/revisions/:id/rollback",
+    requireAuth,
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const revision = await getRevision(req.params.file, req.params.id);
+        if (!revision) {
+          return res.status(404).json({ error: "Revision not found." });
+        }
+        if (!revision.snapshot) {
+          return res.status(409).json({ error: "This revision created the file and cannot be rolled back." });
+        }
+
+        await lockCountryFile(req.params.file, () =>
+          writeCountryFile(req.params.file, revision.snapshot, {
+            ...revisionMetaFromRequest(req),
+            reason: `rollback of ${revision.id}`
+          })
+        );
+        return res.json({ rolledBack: true, file: req.params.file, revision: revision.id });
+      } catch (err) {
+        return sendError(res, err, "Failed to roll back revision.");
+      }
+    }
+  );
+
+  app.patch(base, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const body = requireBodyObject(req.body);
+      const unknown = Object.keys(body).filter((key) => !CITY_FIELDS.includes(key));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown city fields: ${unknown.join(", ")}.` });
+      }
+
+      const result = await updateCity(req, (city, { data, before }) => {
+        if (body.name !== undefined) {
+          const name = typeof body.name === "string" ? body.name.trim() : "";
+          if (!name) {
+            throw httpError("City name must not be empty.", 400);
+          }
+          const clash = data.cities.some(
+            (entry) => entry !== before && normalizeName(entry?.name) === normalizeName(name)
+          );
+          if (clash) {
+            throw httpError("A city with this name already exists.", 409);
+          }
+        }
+        Object.assign(city, body, body.name !== undefined ? { name: body.name.trim() } : {});
+      });
+
+      if (result.previousName !== result.city.name) {
+        await renameTranslations(
+          req.params.file,
+          result.previousName,
+          result.city.name,
+          revisionMetaFromRequest(req)
+        );
+      }
+
+      return res.json({ file: req.params.file, city: result.city });
+    } catch (err) {
+      return sendError(res, err, "Failed to update city.");
+    }
+  });
+
+  app.delete(base, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const meta = revisionMetaFromRequest(req);
+      let removed;
+      await updateCountryFile(
+        req.params.file,
+        (data) => {
+          data.cities = Array.isArray(data.cities) ? data.cities : [];
+          const index = findCityIndex(data.cities, req.params.city);
+          if (index === -1) {
+            throw httpError("City not found.", 404);
+          }
+          [removed] = data.cities.splice(index, 1);
+        },
+        meta
+      );
+      await removeCityTranslations(req.params.file, removed.name, meta);
+
+      return res.json({ deleted: true, file: req.params.file, city: removed.name });
+    } catch (err) {
+      return sendError(res, err, "Failed to delete city.");
+    }
+  });
+
+  app.post(`${base}/move`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const targetFile = String(req.body?.file || "").trim();
+      if (!targetFile) {
+        return res.status(400).json({ error: "Target file is required." });
+      }
+      if (targetFile === req.params.file) {
+        return res.status(400).json({ error: "City is already in this file." });
+      }
+
+      const meta = revisionMetaFromRequest(req);
+      const city = await lockCountryFiles([req.params.file, targetFile], async () => {
+        const source = await loadCountry(req.params.file);
+        const index = findCityIndex(source.cities, req.params.city);
+        if (index === -1) {
+          throw httpError("City not found.", 404);
+        }
+        const target = await loadCountry(targetFile);
+        const [moved] = source.cities.splice(index, 1);
+        if (findCityIndex(target.cities, moved.name) !== -1) {
+          throw httpError("Target file already contains this city.", 409);
+        }
+
+        target.cities.push(moved);
+        sortCities(target.cities);
+        await writeCountryFile(targetFile, target, meta);
+        await writeCountryFile(req.params.file, source, meta);
+        return moved;
+      });
+
+      const translations = await removeCityTranslations(req.params.file, city.name, meta);
+      for (const translation of translations) {
+        await writeCityTranslation(targetFile, translation.lang, translation.city, meta);
+      }
+
+      return res.json({ moved: true, from: req.params.file, file: targetFile, city: city.name });
+    } catch (err) {
+      return sendError(res, err, "Failed to move city.");
+    }
+  });
+
+  for (const section of LIST_SECTIONS) {
+    app.patch(`${base}/${section}/:entry`, requireAuth, requireAdmin, async (req, res) => {
+      try {
+        const body = requireBodyObject(req.body);
+        const result = await updateCity(req, (city) => {
+          const index = findEntryIndex(city[section], req.params.entry);
+          if (index === -1) throw httpError("Entry not found.", 404);
+          city[section][index] = { ...city[section][index], ...body };
+        });
+        return res.json({ file: req.params.file, city: result.city.name, [section]: result.city[section] });
+      } catch (err) {
+        return sendError(res, err, "Failed to update entry.");
+      }
+    });
+
+    app.delete(`${base}/${section}/:entry`, requireAuth, requireAdmin, async (req, res) => {
+      try {
+        const result = await updateCity(req, (city) => {
+          const index = findEntryIndex(city[section], req.params.entry);
+          if (index === -1) throw httpError("Entry not found.", 404);
+          city[section].splice(index, 1);
+        });
+        return res.json({ file: req.params.file, city: result.city.name, [section]: result.city[section] });
+      } catch (err) {
+        return sendError(res, err, "Failed to delete entry.");
+      }
+    });
+  }
+
+  app.patch(`${base}/interests/:category/:entry`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const body = requireBodyObject(req.body);
+      const result = await updateCity(req, (city) => {
+        const category = resolveCategory(city.interests, req.params.category);
+        const index = category ? findEntryIndex(city.interests?.[category], req.params.entry) : -1;
+        if (index === -1) throw httpError("Entry not found.", 404);
+        city.interests[category][index] = { ...city.interests[category][index], ...body };
+      });
+      return res.json({ file: req.params.file, city: result.city.name, interests: result.city.interests });
+    } catch (err) {
+      return sendError(res, err, "Failed to update entry.");
+    }
+  });
+
+  app.delete(`${base}/interests/:category/:entry`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const result = await updateCity(req, (city) => {
+        const category = resolveCategory(city.interests, req.params.category);
+        const index = category ? findEntryIndex(city.interests?.[category], req.params.entry) : -1;
+        if (index === -1) throw httpError("Entry not found.", 404);
+        city.interests[category].splice(index, 1);
+      });
+      return res.json({ file: req.params.file, city: result.city.name, interests: result.city.interests });
+    } catch (err) {
+      return sendError(res, err, "Failed to delete entry.");
+    }
+  });
+
+  app.patch(`${base}/seasons/:season`, requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const season = String(req.params.season).toLowerCase();
+      if (!SEASON_KEYS.includes(season)) {
+        return res.status(400).json({ error: "Invalid season." });
+      }
+      const body = requireBodyObject(req.body);
+      const result = await updateCity(req, (city) => {
+        city.seasons = isPlainObject(city.seasons) ? city.seasons : {};
+        city.seasons[season] = { ...(city.seasons[season] || {}), ...body };
+      });
+      return res.json({
+        file: req.params.file,
+        city: result.city.name,
+        season,
+        value: result.city.seasons[season]
+      });
+    } catch (err) {
+      return sendError(res, err, "Failed to update season.");
+    }
+  });
+}
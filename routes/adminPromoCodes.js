@@ -0,0 +1,39 @@
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { createPromoCode, listPromoCodes, updatePromoCode } from "../payments/promoCodes.js";
+import { sendError } from "../utils/http.js";
+
+export function registerAdminPromoCodeRoutes(app) {
+  app.get("/api/admin/promo-codes", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      return res.json({ promoCodes: await listPromoCodes() });
+    } catch (err) {
+      return sendError(res, err, "Failed to load promo codes.");
+    }
+  });
+
+  /**
+   * Body: { code, type: "percent" | "fixed", value, plans? } for a checkout
+   * discount or { code, type: "grant", tokens, plan } for free tokens, plus
+   * optional expiresAt, maxRedemptions and perUserLimit (default 1).
+   */
+  app.post("/api/admin/promo-codes", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const promo = await createPromoCode(req.body, {
+        userId: req.user.userId,
+        email: req.user.email || ""
+      });
+      return res.status(201).json({ promoCode: promo });
+    } catch (err) {
+      return sendError(res, err, "Failed to create promo code.");
+    }
+  });
+
+  // Changes limits or deactivates a code: { active, expiresAt, maxRedemptions, perUserLimit }.
+  app.patch("/api/admin/promo-codes/:code", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      return res.json({ promoCode: await updatePromoCode(req.params.code, req.body) });
+    } catch (err) {
+      return sendError(res, err, "Failed to update promo code.");
+    }
+  });
+}
@@ -0,0 +1,60 @@
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import { storage } from "../storage/index.js";
+import { adjustTokens } from "../utils/tokenBalance.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { parsePage } from "./account.js";
+import { sendError } from "../utils/http.js";
+
+export function registerAdminUserRoutes(app) {
+  app.get("/api/admin/users/:userId/ledger", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const user = await storage.users.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ error: "User not found." });
+      }
+
+      const { limit, offset } = parsePage(req.query);
+      const { total, entries } = await storage.ledger.list({ userId: user.id, limit, offset });
+      return res.json({ userId: user.id, tokens: user.tokens, total, limit, offset, entries });
+    } catch (err) {
+      return sendError(res, err, "Failed to load token history.");
+    }
+  });
+
+  /**
+   * Manual token correction. Body: { amount, reason } where amount is a
+   * signed integer.
+   */
+  app.post("/api/admin/users/:userId/tokens", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const amount = Number(req.body?.amount);
+      const reason = String(req.body?.reason || "").trim();
+      if (!reason) {
+        return res.status(400).json({ error: "Reason is required." });
+      }
+
+      const { user, entry } = await adjustTokens(req.params.userId, amount, {
+        reason,
+        actor: { userId: req.user.userId, email: req.user.email || "" }
+      });
+      return res.json({ userId: user.id, tokens: user.tokens, plan: user.plan, entry });
+    } catch (err) {
+      return sendError(res, err, "Failed to adjust tokens.");
+    }
+  });
+
+  // Signs the user out on every device, e.g. after a suspected account takeover.
+  app.post(
+    "/api/admin/users/:userId/sessions/revoke",
+    requireAuth,
+    requireAdmin,
+    async (req, res) => {
+      try {
+        await revokeAllSessions(req.params.userId, `revoked by admin ${req.user.userId}`);
+        return res.json({ ok: true });
+      } catch (err) {
+        return sendError(res, err, "Failed to revoke sessions.");
+      }
+    }
+  );
+}
@@ -0,0 +1,116 @@
+import { requireAuth, requireAdmin, signUserToken } from "../middleware/auth.js";
+import { getPaymentProvider } from "../payments/index.js";
+import {
+  createOrder,
+  captureOrder,
+  handleWebhook,
+  refundPayment,
+  listPayments
+} from "../payments/billing.js";
+import { getInvoiceForOrder, renderInvoicePdf } from "../payments/invoices.js";
+import { sendError } from "../utils/http.js";
+
+/**
+ * Checkout, capture and webhook routes are shared by every provider in
+ * payments/index.js (`/api/payments/paypal/...`, `/api/payments/stripe/...`).
+ */
+export function registerPaymentRoutes(app) {
+  app.get("/api/payments/history", requireAuth, async (req, res) => {
+    try {
+      const payments = await listPayments(req.user?.userId);
+      return res.json({ payments });
+    } catch (err) {
+      return sendError(res, err, "Failed to load payment history.");
+    }
+  });
+
+  // PDF invoice for one of the signed-in user's orders.
+  app.get("/api/payments/:orderId/invoice", requireAuth, async (req, res) => {
+    try {
+      const invoice = await getInvoiceForOrder(req.user.userId, req.params.orderId);
+      res.set("Content-Disposition", `attachment; filename="${invoice.id}.pdf"`);
+      return res.type("application/pdf").send(renderInvoicePdf(invoice));
+    } catch (err) {
+      return sendError(res, err, "Failed to load invoice.");
+    }
+  });
+
+  /**
+   * Client-side PayPal confirmation hook.
+   * Expects authenticated user and amount that was paid.
+   * This does NOT validate against PayPal servers; it relies on auth + client flow.
+   */
+  app.post("/api/payments/paypal/credit", requireAuth, (req, res) => {
+    return res.status(410).json({
+      error: "Legacy PayPal credit endpoint is disabled. Use create-order and capture-order."
+    });
+  });
+
+  app.get("/api/payments/:provider/config", (req, res) => {
+    try {
+      const provider = getPaymentProvider(req.params.provider);
+      return res.json(provider.publicConfig());
+    } catch (err) {
+      return sendError(res, err, "Failed to load payment configuration.");
+    }
+  });
+
+  app.post("/api/payments/:provider/create-order", requireAuth, async (req, res) => {
+    try {
+      const provider = getPaymentProvider(req.params.provider);
+      const checkout = await createOrder(provider, req.user, {
+        plan: req.body?.plan,
+        amount: req.body?.amount,
+        promoCode: req.body?.promoCode
+      });
+      return res.json({ id: checkout.orderId, url: checkout.approvalUrl });
+    } catch (err) {
+      return sendError(res, err, "Failed to create order.");
+    }
+  });
+
+  app.post("/api/payments/:provider/capture-order", requireAuth, async (req, res) => {
+    try {
+      const provider = getPaymentProvider(req.params.provider);
+      const result = await captureOrder(provider, req.user, req.body?.orderId);
+      const token = signUserToken(result.user);
+
+      return res.json({
+        ok: true,
+        ...(result.duplicate ? { duplicate: true } : {}),
+        plan: result.user.plan,
+        tokensAdded: result.tokens,
+        totalTokens: result.user.tokens,
+        token
+      });
+    } catch (err) {
+      return sendError(res, err, "Failed to capture order.");
+    }
+  });
+
+  /**
+   * Provider notifications. Any non-2xx response makes the provider deliver
+   * the event again later.
+   */
+  app.post("/api/payments/:provider/webhook", async (req, res) => {
+    try {
+      const provider = getPaymentProvider(req.params.provider);
+      const result = await handleWebhook(provider, req);
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      return sendError(res, err, "Failed to process webhook.");
+    }
+  });
+
+  app.post("/api/admin/payments/:paymentId/refund", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const payment = await refundPayment(req.params.paymentId, {
+        userId: req.user.userId,
+        email: req.user.email || ""
+      });
+      return res.json({ payment });
+    } catch (err) {
+      return sendError(res, err, "Failed to refund payment.");
+    }
+  });
+}
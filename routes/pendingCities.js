@@ -0,0 +1,110 @@
+import { requireAuth, requireAdmin, isAdminUser } from "../middleware/auth.js";
+import { CITY_FIELDS } from "../utils/citySchema.js";
+import { revisionMetaFromRequest } from "../utils/countryRevisions.js";
+import {
+  PENDING_STATUSES,
+  listPendingCities,
+  getPendingCity,
+  editPendingCity,
+  approvePendingCity,
+  rejectPendingCity
+} from "../utils/pendingCities.js";
+import { sendError } from "../utils/http.js";
+
+function reviewerFromRequest(req) {
+  return { userId: req.user.userId, email: req.user.email || "" };
+}
+
+function parseStatusParam(value) {
+  if (value === undefined || value === "") return undefined;
+  const status = String(value).toLowerCase();
+  return PENDING_STATUSES.includes(status) ? status : null;
+}
+
+export function registerPendingCityRoutes(app) {
+  // Drafts of the signed-in user.
+  app.get("/api/cities/pending", requireAuth, async (req, res) => {
+    try {
+      const status = parseStatusParam(req.query.status);
+      if (status === null) {
+        return res.status(400).json({ error: "Invalid status." });
+      }
+      const pending = await listPendingCities({ userId: req.user.userId, status });
+      return res.json({ pending });
+    } catch (err) {
+      return sendError(res, err, "Failed to load pending cities.");
+    }
+  });
+
+  app.get("/api/cities/pending/:id", requireAuth, async (req, res) => {
+    try {
+      const entry = await getPendingCity(req.params.id);
+      const visible =
+        entry &&
+        (entry.requestedBy?.userId === req.user.userId || (await isAdminUser(req.user.userId)));
+      if (!visible) {
+        return res.status(404).json({ error: "Pending city not found." });
+      }
+      return res.json(entry);
+    } catch (err) {
+      return sendError(res, err, "Failed to load pending city.");
+    }
+  });
+
+  app.get("/api/admin/cities/pending", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const status = parseStatusParam(req.query.status ?? "pending");
+      if (status === null) {
+        return res.status(400).json({ error: "Invalid status." });
+      }
+      const pending = await listPendingCities({ status });
+      return res.json({ pending });
+    } catch (err) {
+      return sendError(res, err, "Failed to load pending cities.");
+    }
+  });
+
+  app.patch("/api/admin/cities/pending/:id", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const body = req.body;
+      if (!body || typeof body !== "object" || Array.isArray(body) || !Object.keys(body).length) {
+        return res.status(400).json({ error: "Request body must be a non-empty object." });
+      }
+      const unknown = Object.keys(body).filter((key) => !CITY_FIELDS.includes(key));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown city fields: ${unknown.join(", ")}.` });
+      }
+
+      const entry = await editPendingCity(req.params.id, body);
+      return res.json(entry);
+    } catch (err) {
+      return sendError(res, err, "Failed to update pending city.");
+    }
+  });
+
+  app.post("/api/admin/cities/pending/:id/approve", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const entry = await approvePendingCity(
+        req.params.id,
+        reviewerFromRequest(req),
+        revisionMetaFromRequest(req)
+      );
+      return res.json(entry);
+    } catch (err) {
+      return sendError(res, err, "Failed to approve pending city.");
+    }
+  });
+
+  app.post("/api/admin/cities/pending/:id/reject", requireAuth, requireAdmin, async (req, res) => {
+    try {
+      const entry = await rejectPendingCity(
+        req.params.id,
+        reviewerFromRequest(req),
+        req.body?.reason
+      );
+      return res.json(entry);
+    } catch (err) {
+      return sendError(res, err, "Failed to reject pending city.");
+    }
+  });
+}
@@ -0,0 +1,10 @@
+import { publicPlans } from "../config/plans.js";
+
+export function registerPlanRoutes(app) {
+  /**
+   * The plan catalog (prices, tokens and features) for pricing pages.
+   */
+  app.get("/api/plans", (req, res) => {
+    return res.json(publicPlans());
+  });
+}
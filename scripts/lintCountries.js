@@ -0,0 +1,227 @@
+import {
+  getCountryFile,
+  updateCountryFile,
+  listCountryFiles,
+  parseCountryFileName,
+  COUNTRY_LEVELS
+} from "../utils/countryRepository.js";
+import { validateCity, SEASON_KEYS, INTEREST_CATEGORIES } from "../utils/citySchema.js";
+import { normalizeName, normalizeKey } from "../utils/normalize.js";
+
+const LINK_PATH_PATTERN = /\.(map_link|link|website)$/;
+
+function compareCities(a, b) {
+  return String(a?.name).localeCompare(String(b?.name));
+}
+
+function classifySchemaError(error) {
+  if (LINK_PATH_PATTERN.test(error.path)) return "map-link";
+  if (error.message === "is not a known season") return "season-key";
+  return "schema";
+}
+
+function findEmptySections(city) {
+  const empty = [];
+  for (const section of ["places", "hidden_gems", "city_events", "public_transport_tips"]) {
+    if (Array.isArray(city[section]) && !city[section].length) empty.push(section);
+  }
+  for (const category of INTEREST_CATEGORIES) {
+    const items = city.interests?.[category];
+    if (Array.isArray(items) && !items.length) empty.push(`interests.${category}`);
+  }
+  for (const season of SEASON_KEYS) {
+    const ideas = city.seasons?.[season]?.ideas;
+    if (Array.isArray(ideas) && !ideas.length) empty.push(`seasons.${season}.ideas`);
+  }
+  if (typeof city.local_food_tip === "string" && !city.local_food_tip.trim()) {
+    empty.push("local_food_tip");
+  }
+  if (city.full_day && typeof city.full_day === "object" && !Object.keys(city.full_day).length) {
+    empty.push("full_day");
+  }
+  return empty;
+}
+
+function countryKeyFromFile(file) {
+  const parsed = parseCountryFileName(file);
+  const match = parsed && /^recommendations_(.+)$/.exec(parsed.base);
+  return match ? normalizeKey(match[1].replace(/_/g, " ")) : null;
+}
+
+/**
+ * Season keys that only differ by case (or use "fall") can be renamed
+ * mechanically as long as the target key is not already taken.
+ */
+function fixSeasonKeys(city) {
+  const seasons = city?.seasons;
+  if (!seasons || typeof seasons !== "object" || Array.isArray(seasons)) return false;
+
+  let changed = false;
+  for (const key of Object.keys(seasons)) {
+    const lower = key.toLowerCase();
+    const target = lower === "fall" ? "autumn" : lower;
+    if (target === key || !SEASON_KEYS.includes(target) || seasons[target]) continue;
+    seasons[target] = seasons[key];
+    delete seasons[key];
+    changed = true;
+  }
+
+  if (changed) {
+    const rank = (key) => (SEASON_KEYS.includes(key) ? SEASON_KEYS.indexOf(key) : SEASON_KEYS.length);
+    city.seasons = Object.fromEntries(
+      Object.entries(seasons).sort(([a], [b]) => rank(a) - rank(b))
+    );
+  }
+  return changed;
+}
+
+function lintCountry(file, data) {
+  const issues = [];
+  const report = (severity, rule, city, pathName, message) =>
+    issues.push({ severity, rule, file, city, path: pathName, message });
+
+  if (!data?.name || typeof data.name !== "string") {
+    report("error", "schema", "", "name", "country name is required");
+  } else {
+    const fileKey = countryKeyFromFile(file);
+    const nameKey = normalizeKey(data.name.replace(/\(.*?\)/g, ""));
+    if (!fileKey) {
+      report(
+        "warning",
+        "file-name",
+        "",
+        "",
+        `file name does not match recommendations_<Country>_<${COUNTRY_LEVELS.join("|")}>.json`
+      );
+    } else if (!nameKey.startsWith(fileKey) && !fileKey.startsWith(nameKey)) {
+      report("warning", "file-name", "", "name", `"${data.name}" does not match file name`);
+    }
+  }
+
+  if (!Array.isArray(data?.cities)) {
+    report("error", "schema", "", "cities", "must be an array");
+    return issues;
+  }
+
+  const seen = new Map();
+  data.cities.forEach((city, index) => {
+    const cityName = String(city?.name || `#${index}`);
+
+    for (const error of validateCity(city).errors) {
+      report("error", classifySchemaError(error), cityName, error.path, error.message);
+    }
+
+    const key = normalizeName(city?.name);
+    if (key) {
+      if (seen.has(key)) {
+        report("error", "duplicate-city", cityName, "", `duplicates "${seen.get(key)}"`);
+      } else {
+        seen.set(key, cityName);
+      }
+    }
+
+    if (city && typeof city === "object") {
+      for (const section of findEmptySections(city)) {
+        report("warning", "empty-section", cityName, section, "is empty");
+      }
+    }
+
+    if (index > 0 && compareCities(data.cities[index - 1], city) > 0) {
+      report("error", "unsorted", cityName, "", `should come before "${data.cities[index - 1]?.name}"`);
+    }
+  });
+
+  return issues;
+}
+
+function fixCountry(data) {
+  if (!Array.isArray(data?.cities)) return [];
+
+  const fixes = [];
+  for (const city of data.cities) {
+    if (fixSeasonKeys(city)) fixes.push(`lower-cased season keys of ${city.name}`);
+  }
+
+  const sorted = [...data.cities].sort(compareCities);
+  if (sorted.some((city, index) => city !== data.cities[index])) {
+    data.cities = sorted;
+    fixes.push("sorted cities by name");
+  }
+
+  return fixes;
+}
+
+function formatIssue(issue) {
+  const location = [issue.city, issue.path].filter(Boolean).join(" › ");
+  const label = issue.severity === "error" ? "error  " : "warning";
+  return `  ${label} ${location ? `${location}: ` : ""}${issue.message} [${issue.rule}]`;
+}
+
+/**
+ * Applies `fixCountry` under the country file lock, so the fixes are made
+ * to the current content and no concurrent write is lost.
+ */
+async function fixCountryFile(file) {
+  const revision = { actor: { system: "cli" }, route: "npm run lint:data -- --fix" };
+  let fixes = [];
+  const data = await updateCountryFile(
+    file,
+    (current) => {
+      fixes = fixCountry(current);
+      if (!fixes.length) return false;
+      revision.reason = fixes.join("; ");
+    },
+    revision
+  );
+  return { data, fixes };
+}
+
+async function main(argv) {
+  const fix = argv.includes("--fix");
+  const quiet = argv.includes("--quiet");
+  const only = argv.filter((arg) => !arg.startsWith("--"));
+  const files = only.length ? only : await listCountryFiles();
+
+  let errorCount = 0;
+  let warningCount = 0;
+
+  for (const file of files) {
+    let data;
+    let fixes;
+    try {
+      ({ data, fixes } = fix
+        ? await fixCountryFile(file)
+        : { data: (await getCountryFile(file)).data, fixes: [] });
+    } catch (err) {
+      console.log(`${file}\n  error   ${err.message} [parse]`);
+      errorCount += 1;
+      continue;
+    }
+
+    if (fixes.length) {
+      console.log(`${file}\n${fixes.map((entry) => `  fixed   ${entry}`).join("\n")}`);
+    }
+
+    const issues = lintCountry(file, data).filter((issue) => !quiet || issue.severity === "error");
+    errorCount += issues.filter((issue) => issue.severity === "error").length;
+    warningCount += issues.filter((issue) => issue.severity === "warning").length;
+
+    if (issues.length) {
+      console.log(`${file}\n${issues.map(formatIssue).join("\n")}`);
+    }
+  }
+
+  console.log(
+    `\n${files.length} files checked: ${errorCount} error(s), ${warningCount} warning(s).`
+  );
+  return errorCount ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 2;
+  });
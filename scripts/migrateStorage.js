@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import { createStorage } from "../storage/index.js";
+
+/**
+ * Legacy payments have no id. Deriving one from the record keeps re-runs
+ * from importing the same payment twice.
+ */
+function withPaymentId(payment) {
+  if (payment.id) return payment;
+  const hash = crypto.createHash("sha1").update(JSON.stringify(payment)).digest("hex");
+  return { id: `pay_legacy_${hash.slice(0, 12)}`, ...payment };
+}
+
+function recordsWithId(records, label) {
+  const missing = records.filter((record) => !record?.id);
+  if (missing.length) {
+    console.log(`${label}: skipping ${missing.length} record(s) without an id`);
+  }
+  return records.filter((record) => record?.id);
+}
+
+async function main(args) {
+  if (args.includes("--help")) {
+    console.log("Usage: npm run migrate:storage -- [--db <path>]");
+    console.log(
+      "Imports data/users.json, pending_users.json, sessions.json, payments.json, " +
+        "token_ledger.json, payment_events.json, promo_codes.json and invoices.json into SQLite."
+    );
+    return 0;
+  }
+
+  const dbIndex = args.indexOf("--db");
+  const filePath = dbIndex !== -1 ? args[dbIndex + 1] : undefined;
+  if (dbIndex !== -1 && !filePath) {
+    console.log("--db requires a path");
+    return 1;
+  }
+
+  const source = await createStorage("json");
+  const target = await createStorage("sqlite", filePath ? { filePath } : {});
+
+  try {
+    const records = {
+      users: recordsWithId(await source.users.list(), "users"),
+      pendingUsers: recordsWithId(await source.pendingUsers.list(), "pending users"),
+      sessions: await source.sessions.list(),
+      payments: (await source.payments.list()).map(withPaymentId),
+      ledger: (await source.ledger.list({ limit: Infinity })).entries.reverse(),
+      paymentEvents: await source.paymentEvents.list(),
+      promoCodes: await source.promoCodes.list(),
+      invoices: await source.invoices.list()
+    };
+    await target.importRecords(records);
+
+    console.log(
+      `Imported ${records.users.length} user(s), ${records.pendingUsers.length} pending signup(s), ` +
+        `${records.sessions.length} session(s), ` +
+        `${records.payments.length} payment(s), ${records.ledger.length} ledger entries, ` +
+        `${records.paymentEvents.length} payment event(s), ${records.promoCodes.length} promo code(s) ` +
+        `and ${records.invoices.length} invoice(s).`
+    );
+    console.log("Set STORAGE_BACKEND=sqlite to use the database.");
+    return 0;
+  } finally {
+    await target.close();
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 2;
+  });
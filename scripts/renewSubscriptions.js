@@ -0,0 +1,16 @@
+import { renewDueSubscriptions } from "../payments/subscriptions.js";
+
+/**
+ * One renewal run, for cron setups that set SUBSCRIPTION_RENEWAL_INTERVAL_MS=0
+ * on the API process.
+ */
+renewDueSubscriptions()
+  .then((summary) => {
+    console.log(
+      `Renewed ${summary.renewed}, ended ${summary.ended}, failed ${summary.failed} subscription(s).`
+    );
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,43 @@
+import { translateCityInFile } from "../utils/cityTranslation.js";
+import { normalizeLocale, DEFAULT_LOCALE, SUPPORTED_LOCALES } from "../utils/locales.js";
+
+async function main([file, city, ...langs]) {
+  if (!file || !city || !langs.length) {
+    console.log("Usage: npm run translate:city -- <country file> <city> <lang> [lang...]");
+    console.log(`Languages: ${SUPPORTED_LOCALES.filter((lang) => lang !== DEFAULT_LOCALE).join(", ")}`);
+    return 1;
+  }
+
+  let failed = 0;
+  for (const value of langs) {
+    const lang = normalizeLocale(value);
+    if (!lang || lang === DEFAULT_LOCALE) {
+      console.log(`${value}: unsupported language`);
+      failed += 1;
+      continue;
+    }
+
+    try {
+      const result = await translateCityInFile(file, city, lang, {
+        actor: { system: "cli" },
+        route: "npm run translate:city"
+      });
+      console.log(`${lang}: translated ${result.city} in ${result.file}`);
+    } catch (err) {
+      console.log(`${lang}: ${err.message}`);
+      if (err.details) console.log(JSON.stringify(err.details, null, 2));
+      failed += 1;
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 2;
+  });
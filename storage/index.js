@@ -0,0 +1,45 @@
+import dotenv from "dotenv";
+import { createJsonStorage } from "./jsonStorage.js";
+
+dotenv.config();
+
+export const STORAGE_BACKENDS = ["json", "sqlite"];
+
+/**
+ * Users, pending signups, login sessions, payments, payment provider
+ * events, promo codes, invoices and the token ledger. Both backends expose
+ * the same async repositories:
+ *
+ * - users: list, findById, findByEmail, findByName, create, update, modify, remove
+ * - pendingUsers: list, findByToken, findByEmail, findByName, create, update, modify, remove
+ * - sessions: list({ userId }), findById, create, update, modify, remove
+ * - payments: list({ userId }), findById, create, update, modify, remove
+ * - ledger: list({ userId, limit, offset }) → { total, entries } newest
+ *   first, findById, create, modify
+ * - paymentEvents: list, findById, create, update, modify
+ * - promoCodes: list, findById, create, update, modify (id is the code)
+ * - invoices: list({ userId }), findById, findByPaymentId, create, update;
+ *   create numbers the invoice and rejects a second one for a payment
+ *
+ * `update(id, changes)` shallow-merges and returns the updated record, or
+ * null when there is none; keys set to undefined are removed.
+ * `modify(id, mutate)` runs a synchronous `mutate(record)` as one atomic
+ * read-modify-write; if `mutate` throws or returns false nothing is written.
+ */
+export async function createStorage(backend = "json", options = {}) {
+  if (backend === "json") {
+    return createJsonStorage(options);
+  }
+  if (backend === "sqlite") {
+    const { createSqliteStorage } = await import("./sqliteStorage.js");
+    return createSqliteStorage({ filePath: process.env.SQLITE_PATH || undefined, ...options });
+  }
+
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(", ")}.`
+  );
+}
+
+export const storage = await createStorage(
+  String(process.env.STORAGE_BACKEND || "json").trim().toLowerCase()
+);
@@ -0,0 +1,192 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeEmail, normalizeUserName } from "../utils/normalize.js";
+import { readJsonFile, writeJsonFile, withFileLock } from "../utils/jsonFile.js";
+import { applyChanges, duplicateIdError, newRecordId, numberedInvoice } from "./records.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+/**
+ * An array of records kept in one JSON file that is read and rewritten as
+ * a whole on every change. Changes to one file are serialized and written
+ * atomically.
+ */
+function createCollection(fileName) {
+  const filePath = path.join(DATA_DIR, fileName);
+  const locked = (task) => withFileLock(filePath, task);
+
+  return {
+    async list() {
+      return readJsonFile(filePath, []);
+    },
+
+    async find(predicate) {
+      const records = await readJsonFile(filePath, []);
+      return records.find(predicate) || null;
+    },
+
+    insert(record) {
+      return this.insertWith(() => record);
+    },
+
+    /**
+     * Inserts the record `build(records)` returns, built from the current
+     * records under the same lock (e.g. to take the next number).
+     */
+    insertWith(build) {
+      return locked(async () => {
+        const records = await readJsonFile(filePath, []);
+        const record = build(records);
+        if (records.some((entry) => entry.id === record.id)) {
+          throw duplicateIdError(record.id);
+        }
+        records.push(record);
+        await writeJsonFile(filePath, records);
+        return record;
+      });
+    },
+
+    update(id, changes) {
+      return this.modify(id, (record) => applyChanges(record, changes));
+    },
+
+    modify(id, mutate) {
+      return locked(async () => {
+        const records = await readJsonFile(filePath, []);
+        const record = records.find((entry) => entry.id === id);
+        if (!record) return null;
+        if (mutate(record) !== false) {
+          await writeJsonFile(filePath, records);
+        }
+        return record;
+      });
+    },
+
+    remove(id) {
+      return locked(async () => {
+        const records = await readJsonFile(filePath, []);
+        const remaining = records.filter((entry) => entry.id !== id);
+        if (remaining.length === records.length) return false;
+        await writeJsonFile(filePath, remaining);
+        return true;
+      });
+    }
+  };
+}
+
+export function createJsonStorage() {
+  const users = createCollection("users.json");
+  const pendingUsers = createCollection("pending_users.json");
+  const payments = createCollection("payments.json");
+  const ledger = createCollection("token_ledger.json");
+  const paymentEvents = createCollection("payment_events.json");
+  const promoCodes = createCollection("promo_codes.json");
+  const invoices = createCollection("invoices.json");
+  const sessions = createCollection("sessions.json");
+
+  return {
+    backend: "json",
+
+    users: {
+      list: () => users.list(),
+      findById: (id) => users.find((user) => user.id === id),
+      findByEmail: (email) =>
+        users.find((user) => normalizeEmail(user.email) === normalizeEmail(email)),
+      findByName: (name) =>
+        users.find((user) => normalizeUserName(user.name) === normalizeUserName(name)),
+      create: (user) => users.insert(user),
+      update: (id, changes) => users.update(id, changes),
+      modify: (id, mutate) => users.modify(id, mutate),
+      remove: (id) => users.remove(id)
+    },
+
+    pendingUsers: {
+      list: () => pendingUsers.list(),
+      findByToken: (token) => pendingUsers.find((entry) => entry.token === token),
+      findByEmail: (email) =>
+        pendingUsers.find((entry) => normalizeEmail(entry.email) === normalizeEmail(email)),
+      findByName: (name) =>
+        pendingUsers.find(
+          (entry) => normalizeUserName(entry.name) === normalizeUserName(name)
+        ),
+      create: (entry) => pendingUsers.insert(entry),
+      update: (id, changes) => pendingUsers.update(id, changes),
+      modify: (id, mutate) => pendingUsers.modify(id, mutate),
+      remove: (id) => pendingUsers.remove(id)
+    },
+
+    payments: {
+      async list({ userId } = {}) {
+        const records = await payments.list();
+        return userId ? records.filter((payment) => payment.userId === userId) : records;
+      },
+      findById: (id) => payments.find((payment) => payment.id === id),
+      create: (payment) => payments.insert({ id: newRecordId("pay"), ...payment }),
+      update: (id, changes) => payments.update(id, changes),
+      modify: (id, mutate) => payments.modify(id, mutate),
+      remove: (id) => payments.remove(id)
+    },
+
+    ledger: {
+      async list({ userId, limit = 50, offset = 0 } = {}) {
+        const entries = (await ledger.list())
+          .filter((entry) => !userId || entry.userId === userId)
+          .reverse();
+        return { total: entries.length, entries: entries.slice(offset, offset + limit) };
+      },
+      findById: (id) => ledger.find((entry) => entry.id === id),
+      create: (entry) => ledger.insert({ id: newRecordId("led"), ...entry }),
+      modify: (id, mutate) => ledger.modify(id, mutate)
+    },
+
+    paymentEvents: {
+      list: () => paymentEvents.list(),
+      findById: (id) => paymentEvents.find((event) => event.id === id),
+      create: (event) => paymentEvents.insert({ id: newRecordId("evt"), ...event }),
+      update: (id, changes) => paymentEvents.update(id, changes),
+      modify: (id, mutate) => paymentEvents.modify(id, mutate)
+    },
+
+    promoCodes: {
+      list: () => promoCodes.list(),
+      findById: (id) => promoCodes.find((promo) => promo.id === id),
+      create: (promo) => promoCodes.insert(promo),
+      update: (id, changes) => promoCodes.update(id, changes),
+      modify: (id, mutate) => promoCodes.modify(id, mutate)
+    },
+
+    invoices: {
+      async list({ userId } = {}) {
+        const records = await invoices.list();
+        return userId ? records.filter((invoice) => invoice.userId === userId) : records;
+      },
+      findById: (id) => invoices.find((invoice) => invoice.id === id),
+      findByPaymentId: (paymentId) => invoices.find((invoice) => invoice.paymentId === paymentId),
+      create: (invoice) =>
+        invoices.insertWith((records) => {
+          if (records.some((entry) => entry.paymentId === invoice.paymentId)) {
+            throw duplicateIdError(invoice.paymentId);
+          }
+          const last = records.reduce((max, entry) => Math.max(max, entry.number || 0), 0);
+          return numberedInvoice(last + 1, invoice);
+        }),
+      update: (id, changes) => invoices.update(id, changes)
+    },
+
+    sessions: {
+      async list({ userId } = {}) {
+        const records = await sessions.list();
+        return userId ? records.filter((session) => session.userId === userId) : records;
+      },
+      findById: (id) => sessions.find((session) => session.id === id),
+      create: (session) => sessions.insert({ id: newRecordId("ses"), ...session }),
+      update: (id, changes) => sessions.update(id, changes),
+      modify: (id, mutate) => sessions.modify(id, mutate),
+      remove: (id) => sessions.remove(id)
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,38 @@
+import crypto from "crypto";
+
+/**
+ * Shallow-merges `changes` into a record; keys set to undefined are removed.
+ */
+export function applyChanges(record, changes) {
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (key === "id") continue;
+    if (value === undefined) {
+      delete record[key];
+    } else {
+      record[key] = value;
+    }
+  }
+  return record;
+}
+
+export function newRecordId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Both backends reject a second record with the same id, so callers can use
+ * a natural key (e.g. a provider order id) as a uniqueness guard.
+ */
+export function duplicateIdError(id) {
+  const err = new Error(`Record ${id} already exists.`);
+  err.status = 409;
+  return err;
+}
+
+/**
+ * Invoices are numbered 1, 2, 3, ... without gaps; the id is the printed
+ * invoice number.
+ */
+export function numberedInvoice(number, invoice) {
+  return { id: `INV-${String(number).padStart(6, "0")}`, number, ...invoice };
+}
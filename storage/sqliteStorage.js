@@ -0,0 +1,290 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeEmail, normalizeUserName } from "../utils/normalize.js";
+import { applyChanges, duplicateIdError, newRecordId, numberedInvoice } from "./records.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const DEFAULT_SQLITE_PATH = path.join(__dirname, "..", "data", "app.db");
+
+/**
+ * Each table stores the full record as JSON in `data`, next to the columns
+ * that lookups need. `keys` derives those columns from a record.
+ */
+const TABLES = {
+  users: {
+    keys: (record) => ({
+      email_key: normalizeEmail(record.email),
+      name_key: normalizeUserName(record.name)
+    })
+  },
+  pending_users: {
+    keys: (record) => ({
+      email_key: normalizeEmail(record.email),
+      name_key: normalizeUserName(record.name),
+      token: record.token || null
+    })
+  },
+  payments: {
+    keys: (record) => ({
+      user_id: record.userId || null,
+      created_at: record.createdAt || record.timestamp || null
+    })
+  },
+  token_ledger: {
+    keys: (record) => ({
+      user_id: record.userId || null,
+      created_at: record.createdAt || null
+    })
+  },
+  payment_events: {
+    keys: (record) => ({
+      provider: record.provider || null
+    })
+  },
+  promo_codes: {
+    keys: (record) => ({
+      created_at: record.createdAt || null
+    })
+  },
+  invoices: {
+    keys: (record) => ({
+      user_id: record.userId || null,
+      payment_id: record.paymentId || null,
+      number: record.number ?? null
+    })
+  },
+  sessions: {
+    keys: (record) => ({
+      user_id: record.userId || null
+    })
+  }
+};
+
+function createSchema(db) {
+  for (const [table, { keys }] of Object.entries(TABLES)) {
+    const columns = Object.keys(keys({}));
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id TEXT PRIMARY KEY,
+        ${columns.map((column) => `${column} TEXT`).join(",\n        ")},
+        data TEXT NOT NULL
+      )
+    `);
+    for (const column of columns) {
+      db.exec(`CREATE INDEX IF NOT EXISTS ${table}_${column} ON ${table} (${column})`);
+    }
+  }
+}
+
+function createTable(db, table) {
+  const { keys } = TABLES[table];
+  const columns = Object.keys(keys({}));
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+  const params = (record) => ({ id: record.id, ...keys(record), data: JSON.stringify(record) });
+
+  const statements = {
+    list: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`),
+    get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+    insert: db.prepare(
+      `INSERT INTO ${table} (id, ${columns.join(", ")}, data)
+       VALUES (@id, ${columns.map((column) => `@${column}`).join(", ")}, @data)`
+    ),
+    upsert: db.prepare(
+      `INSERT INTO ${table} (id, ${columns.join(", ")}, data)
+       VALUES (@id, ${columns.map((column) => `@${column}`).join(", ")}, @data)
+       ON CONFLICT(id) DO UPDATE SET
+       ${[...columns, "data"].map((column) => `${column} = excluded.${column}`).join(", ")}`
+    ),
+    update: db.prepare(
+      `UPDATE ${table} SET ${[...columns, "data"].map((column) => `${column} = @${column}`).join(", ")}
+       WHERE id = @id`
+    ),
+    remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+  };
+  const byColumn = new Map(
+    columns.map((column) => [
+      column,
+      db.prepare(`SELECT data FROM ${table} WHERE ${column} = ? ORDER BY rowid LIMIT 1`)
+    ])
+  );
+
+  return {
+    list: () => statements.list.all().map(parse),
+    findById: (id) => parse(statements.get.get(id)),
+    findBy: (column, value) => parse(byColumn.get(column).get(value)),
+    listBy: (column, value) =>
+      db.prepare(`SELECT data FROM ${table} WHERE ${column} = ? ORDER BY rowid`).all(value).map(parse),
+    /**
+     * Newest first. `where` is an optional { column: value } filter.
+     */
+    page({ where = {}, limit, offset }) {
+      const filters = Object.keys(where).filter((column) => columns.includes(column));
+      const clause = filters.length
+        ? `WHERE ${filters.map((column) => `${column} = @${column}`).join(" AND ")}`
+        : "";
+      const total = db.prepare(`SELECT COUNT(*) AS count FROM ${table} ${clause}`).get(where).count;
+      const rows = db
+        .prepare(`SELECT data FROM ${table} ${clause} ORDER BY rowid DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...where, limit, offset });
+      return { total, entries: rows.map(parse) };
+    },
+    insert(record) {
+      try {
+        statements.insert.run(params(record));
+      } catch (err) {
+        if (err.code === "SQLITE_CONSTRAINT_PRIMARYKEY") throw duplicateIdError(record.id);
+        throw err;
+      }
+      return record;
+    },
+    modify: db.transaction((id, mutate) => {
+      const record = parse(statements.get.get(id));
+      if (!record) return null;
+      if (mutate(record) !== false) {
+        statements.update.run(params(record));
+      }
+      return record;
+    }),
+    update(id, changes) {
+      return this.modify(id, (record) => applyChanges(record, changes));
+    },
+    remove: (id) => statements.remove.run(id).changes > 0,
+    upsertAll: db.transaction((records) => {
+      for (const record of records) statements.upsert.run(params(record));
+    })
+  };
+}
+
+/**
+ * Same interface as the JSON storage, backed by one SQLite database file
+ * (SQLITE_PATH, default data/app.db). better-sqlite3 is synchronous; the
+ * methods are async only to match the other backend.
+ */
+export async function createSqliteStorage({ filePath = DEFAULT_SQLITE_PATH } = {}) {
+  const { default: Database } = await import("better-sqlite3");
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  createSchema(db);
+
+  const users = createTable(db, "users");
+  const pendingUsers = createTable(db, "pending_users");
+  const payments = createTable(db, "payments");
+  const ledger = createTable(db, "token_ledger");
+  const paymentEvents = createTable(db, "payment_events");
+  const promoCodes = createTable(db, "promo_codes");
+  const invoices = createTable(db, "invoices");
+  const sessions = createTable(db, "sessions");
+  const lastInvoiceNumber = db.prepare(
+    "SELECT MAX(CAST(number AS INTEGER)) AS last FROM invoices"
+  );
+  const createInvoice = db.transaction((invoice) => {
+    if (invoices.findBy("payment_id", invoice.paymentId)) {
+      throw duplicateIdError(invoice.paymentId);
+    }
+    const { last } = lastInvoiceNumber.get();
+    return invoices.insert(numberedInvoice((last || 0) + 1, invoice));
+  });
+
+  return {
+    backend: "sqlite",
+
+    users: {
+      list: async () => users.list(),
+      findById: async (id) => users.findById(id),
+      findByEmail: async (email) => users.findBy("email_key", normalizeEmail(email)),
+      findByName: async (name) => users.findBy("name_key", normalizeUserName(name)),
+      create: async (user) => users.insert(user),
+      update: async (id, changes) => users.update(id, changes),
+      modify: async (id, mutate) => users.modify(id, mutate),
+      remove: async (id) => users.remove(id)
+    },
+
+    pendingUsers: {
+      list: async () => pendingUsers.list(),
+      findByToken: async (token) => pendingUsers.findBy("token", token),
+      findByEmail: async (email) => pendingUsers.findBy("email_key", normalizeEmail(email)),
+      findByName: async (name) => pendingUsers.findBy("name_key", normalizeUserName(name)),
+      create: async (entry) => pendingUsers.insert(entry),
+      update: async (id, changes) => pendingUsers.update(id, changes),
+      modify: async (id, mutate) => pendingUsers.modify(id, mutate),
+      remove: async (id) => pendingUsers.remove(id)
+    },
+
+    payments: {
+      list: async ({ userId } = {}) =>
+        userId ? payments.listBy("user_id", userId) : payments.list(),
+      findById: async (id) => payments.findById(id),
+      create: async (payment) => payments.insert({ id: newRecordId("pay"), ...payment }),
+      update: async (id, changes) => payments.update(id, changes),
+      modify: async (id, mutate) => payments.modify(id, mutate),
+      remove: async (id) => payments.remove(id)
+    },
+
+    ledger: {
+      list: async ({ userId, limit = 50, offset = 0 } = {}) =>
+        ledger.page({ where: userId ? { user_id: userId } : {}, limit, offset }),
+      findById: async (id) => ledger.findById(id),
+      create: async (entry) => ledger.insert({ id: newRecordId("led"), ...entry }),
+      modify: async (id, mutate) => ledger.modify(id, mutate)
+    },
+
+    paymentEvents: {
+      list: async () => paymentEvents.list(),
+      findById: async (id) => paymentEvents.findById(id),
+      create: async (event) => paymentEvents.insert({ id: newRecordId("evt"), ...event }),
+      update: async (id, changes) => paymentEvents.update(id, changes),
+      modify: async (id, mutate) => paymentEvents.modify(id, mutate)
+    },
+
+    promoCodes: {
+      list: async () => promoCodes.list(),
+      findById: async (id) => promoCodes.findById(id),
+      create: async (promo) => promoCodes.insert(promo),
+      update: async (id, changes) => promoCodes.update(id, changes),
+      modify: async (id, mutate) => promoCodes.modify(id, mutate)
+    },
+
+    invoices: {
+      list: async ({ userId } = {}) =>
+        userId ? invoices.listBy("user_id", userId) : invoices.list(),
+      findById: async (id) => invoices.findById(id),
+      findByPaymentId: async (paymentId) => invoices.findBy("payment_id", paymentId),
+      create: async (invoice) => createInvoice(invoice),
+      update: async (id, changes) => invoices.update(id, changes)
+    },
+
+    sessions: {
+      list: async ({ userId } = {}) =>
+        userId ? sessions.listBy("user_id", userId) : sessions.list(),
+      findById: async (id) => sessions.findById(id),
+      create: async (session) => sessions.insert({ id: newRecordId("ses"), ...session }),
+      update: async (id, changes) => sessions.update(id, changes),
+      modify: async (id, mutate) => sessions.modify(id, mutate),
+      remove: async (id) => sessions.remove(id)
+    },
+
+    /**
+     * Inserts or replaces records by id in one transaction. Used by the
+     * migration script so it can be re-run safely.
+     */
+    async importRecords(records) {
+      db.transaction(() => {
+        users.upsertAll(records.users || []);
+        pendingUsers.upsertAll(records.pendingUsers || []);
+        payments.upsertAll(records.payments || []);
+        ledger.upsertAll(records.ledger || []);
+        paymentEvents.upsertAll(records.paymentEvents || []);
+        promoCodes.upsertAll(records.promoCodes || []);
+        invoices.upsertAll(records.invoices || []);
+        sessions.upsertAll(records.sessions || []);
+      })();
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
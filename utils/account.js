@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { storage } from "../storage/index.js";
+import { normalizeEmail, normalizeUserName } from "./normalize.js";
+import { mailTransport, SMTP_FROM } from "./mail.js";
+import { revokeAllSessions } from "./sessions.js";
+import { forgetPendingCitiesOf, listPendingCities } from "./pendingCities.js";
+import { stopSubscription } from "../payments/subscriptions.js";
+import { forgetPaymentEmailsOf, forgetPaymentMethods } from "../payments/billing.js";
+import { forgetInvoiceEmailsOf } from "../payments/invoices.js";
+import { forgetPromoRedemptionsOf } from "../payments/promoCodes.js";
+import { twoFactorSummary } from "./twoFactor.js";
+
+// Same lifetime and resend interval as signup confirmations.
+const EMAIL_CHANGE_TTL_MS = Number(
+  process.env.EMAIL_CHANGE_TTL_MS || process.env.PENDING_SIGNUP_TTL_MS || 24 * 60 * 60 * 1000
+);
+const EMAIL_CHANGE_MIN_INTERVAL_MS = Number(
+  process.env.EMAIL_CHANGE_MIN_INTERVAL_MS ||
+    process.env.PENDING_RESEND_MIN_INTERVAL_MS ||
+    60 * 1000
+);
+
+function accountError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function findUser(userId) {
+  const user = await storage.users.findById(userId);
+  if (!user) {
+    throw accountError("User not found.", 404);
+  }
+  return user;
+}
+
+async function verifyPassword(user, password) {
+  if (!password) {
+    throw accountError("Current password required.", 400);
+  }
+  if (!(await bcrypt.compare(String(password), user.passwordHash || ""))) {
+    throw accountError("Current password is incorrect.", 403);
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Renames the user. Names are unique across users and pending signups,
+ * as /api/auth/name-check reports.
+ */
+export async function updateName(userId, name) {
+  const normalizedName = normalizeUserName(name);
+  if (!normalizedName) {
+    throw accountError("Name is required.", 400);
+  }
+
+  const owner = await storage.users.findByName(normalizedName);
+  if ((owner && owner.id !== userId) || (await storage.pendingUsers.findByName(normalizedName))) {
+    throw accountError("Name already exists.", 409);
+  }
+
+  const user = await storage.users.update(userId, { name: normalizedName });
+  if (!user) {
+    throw accountError("User not found.", 404);
+  }
+  return user;
+}
+
+/**
+ * Sets a new password and signs the user out everywhere; the caller starts
+ * a fresh session for the device that made the change.
+ */
+export async function changePassword(userId, { currentPassword, newPassword }) {
+  if (!newPassword) {
+    throw accountError("New password required.", 400);
+  }
+  const user = await findUser(userId);
+  await verifyPassword(user, currentPassword);
+
+  await storage.users.update(userId, {
+    passwordHash: await bcrypt.hash(String(newPassword), 10),
+    passwordChangedAt: new Date().toISOString()
+  });
+  return revokeAllSessions(userId, "password changed");
+}
+
+/*
+ * An email change is confirmed from the new address, like a signup. The
+ * request is kept on the user as emailChange: { email, tokenHash,
+ * requestedAt, expiresAt }; the token is "<userId>.<secret>".
+ */
+
+async function assertEmailAvailable(email, userId) {
+  const owner = await storage.users.findByEmail(email);
+  if ((owner && owner.id !== userId) || (await storage.pendingUsers.findByEmail(email))) {
+    throw accountError("Email is already in use.", 409);
+  }
+}
+
+async function sendEmailChangeEmail(to, confirmUrl) {
+  if (!mailTransport) {
+    throw new Error("Email transport is not configured.");
+  }
+  if (!SMTP_FROM) {
+    throw new Error("SMTP_FROM is not configured.");
+  }
+  const info = await mailTransport.sendMail({
+    from: SMTP_FROM,
+    to,
+    subject: "Confirm your new email address",
+    text: `Please confirm your new email address by opening this link: ${confirmUrl}`,
+    html: `<p>Please confirm your new email address by clicking the link below:</p><p><a href="${confirmUrl}">Confirm email</a></p>`
+  });
+  console.log("✅ Email change confirmation sent", { to, messageId: info?.messageId });
+  return info;
+}
+
+/**
+ * Sends a confirmation link to the new address. The email changes only
+ * once the link is opened. `confirmUrl(token)` builds the link.
+ */
+export async function requestEmailChange(userId, { email, password }, confirmUrl) {
+  const newEmail = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+    throw accountError("A valid email is required.", 400);
+  }
+  const user = await findUser(userId);
+  if (normalizeEmail(user.email) === newEmail) {
+    throw accountError("This is already your email.", 400);
+  }
+  await verifyPassword(user, password);
+  await assertEmailAvailable(newEmail, userId);
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  await storage.users.modify(userId, (record) => {
+    const lastRequestedAt = Date.parse(record.emailChange?.requestedAt || "");
+    const waitMs = EMAIL_CHANGE_MIN_INTERVAL_MS - (now.getTime() - lastRequestedAt);
+    if (waitMs > 0) {
+      throw accountError(
+        `Please wait ${Math.ceil(waitMs / 1000)}s before requesting another confirmation email.`,
+        429
+      );
+    }
+    record.emailChange = {
+      email: newEmail,
+      tokenHash: hashSecret(secret),
+      requestedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + EMAIL_CHANGE_TTL_MS).toISOString()
+    };
+  });
+
+  try {
+    await sendEmailChangeEmail(newEmail, confirmUrl(`${userId}.${secret}`));
+  } catch (err) {
+    await storage.users
+      .update(userId, { emailChange: undefined })
+      .catch((clearErr) => console.error(clearErr));
+    throw err;
+  }
+  return newEmail;
+}
+
+export async function confirmEmailChange(token) {
+  const value = String(token || "");
+  const separator = value.indexOf(".");
+  const userId = value.slice(0, separator);
+  const secret = value.slice(separator + 1);
+  const invalid = () => accountError("Invalid or expired token.", 400);
+  if (separator < 1 || !secret) {
+    throw invalid();
+  }
+
+  const pending = (await storage.users.findById(userId))?.emailChange;
+  if (!pending) {
+    throw invalid();
+  }
+  await assertEmailAvailable(pending.email, userId);
+
+  const now = new Date();
+  const user = await storage.users.modify(userId, (record) => {
+    const change = record.emailChange;
+    if (
+      !change ||
+      change.email !== pending.email ||
+      change.tokenHash !== hashSecret(secret) ||
+      new Date(change.expiresAt) <= now
+    ) {
+      throw invalid();
+    }
+    record.email = change.email;
+    record.emailChangedAt = now.toISOString();
+    delete record.emailChange;
+  });
+  if (!user) {
+    throw invalid();
+  }
+  return user;
+}
+
+/**
+ * Deletes the user and their sessions, which also ends every access token
+ * (requireAuth rejects tokens of unknown users). A subscription ends right
+ * away and saved payment methods are removed at the provider. Open city
+ * drafts are dropped, and reviewed drafts and promo code counts no longer
+ * name the user. Payments, invoices and the token ledger are kept for
+ * accounting, with the email address removed from payments and invoices.
+ */
+export async function deleteAccount(userId, password) {
+  const user = await findUser(userId);
+  await verifyPassword(user, password);
+
+  await stopSubscription(userId, "account deleted");
+  await forgetPaymentMethods(user);
+  await forgetPaymentEmailsOf(userId);
+  await forgetInvoiceEmailsOf(userId);
+  await forgetPendingCitiesOf(userId);
+  await forgetPromoRedemptionsOf(userId);
+
+  const sessions = await storage.sessions.list({ userId });
+  for (const session of sessions) {
+    await storage.sessions.remove(session.id);
+  }
+  await storage.users.remove(userId);
+}
+
+function publicUserRecord(user) {
+  const { passwordHash, passwordReset, emailChange, twoFactor, ...rest } = user;
+  return {
+    ...rest,
+    ...(emailChange
+      ? { emailChange: { email: emailChange.email, expiresAt: emailChange.expiresAt } }
+      : {}),
+    twoFactor: twoFactorSummary(user)
+  };
+}
+
+/**
+ * Everything stored about the user, minus password hashes and token
+ * secrets.
+ */
+export async function exportAccount(userId) {
+  const user = await findUser(userId);
+  const [sessions, payments, invoices, ledger, citySubmissions] = await Promise.all([
+    storage.sessions.list({ userId }),
+    storage.payments.list({ userId }),
+    storage.invoices.list({ userId }),
+    storage.ledger.list({ userId, limit: Number.MAX_SAFE_INTEGER }),
+    listPendingCities({ userId })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user: publicUserRecord(user),
+    sessions: sessions.map(({ tokenHash, previousTokenHash, ...session }) => session),
+    payments,
+    invoices,
+    tokenLedger: ledger.entries,
+    citySubmissions
+  };
+}
@@ -1,38 +1,39 @@
-import fs from "fs";
-import path from "path";
-import dotenv from "dotenv";
-import OpenAI from "openai";
-
-dotenv.config();
-
-const COUNTRIES_PATH = path.resolve(
-  process.cwd(),
-  "assets/recommendations/countries"
-);
-
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import {
+  getCountryFile,
+  listCountryFiles,
+  sortCities,
+  updateCountryFile
+} from "./countryRepository.js";
 
 /**
  * MAIN FUNCTION
+ * `generate(city, country, file)` must resolve to a city that passes
+ * `validateCity`; it throws (502 with a validation report) otherwise.
+ * With `draft: true` the generated city is returned instead of written.
+ * `revision` describes the change for the country file's revision history.
  */
-export async function addCityIfMissing(cityName) {
+export async function addCityIfMissing(
+  cityName,
+  { generate, draft = false, revision = {} } = {}
+) {
   const normalizedCity = cityName.trim().toLowerCase();
 
   // --------------------------------------------------
   // 1. CHECK IF CITY ALREADY EXISTS
   // --------------------------------------------------
-  const files = fs.readdirSync(COUNTRIES_PATH);
+  const files = await listCountryFiles();
 
   for (const file of files) {
-    if (!file.endsWith(".json")) continue;
-
-    const filePath = path.join(COUNTRIES_PATH, file);
-    const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    let json;
+    try {
+      json = (await getCountryFile(file)).data;
+    } catch (err) {
+      console.error(`Failed to load country file: ${file}`);
+      continue;
+    }
 
     const found = json?.cities?.find(
-      c => c.name.toLowerCase() === normalizedCity
+      c => String(c?.name).toLowerCase() === normalizedCity
     );
 
     if (found) {
@@ -45,54 +46,10 @@ export async function addCityIfMissing(cityName) {
   }
 
   // --------------------------------------------------
-  // 2. CITY NOT FOUND → GENERATE WITH OPENAI
-  // --------------------------------------------------
-  const aiResponse = await client.responses.create({
-    model: "gpt-4.1-mini",
-    text: {
-      format: { type: "json_object" }
-    },
-    input: [
-      {
-        role: "system",
-        content: `
-            You are City Tour Guide AI.
-
-            Return ONLY valid JSON.
-            No markdown, no text outside JSON.
-
-            City name: ${cityName}
-
-            The JSON MUST follow this schema:
-            {
-            "name": "",
-            "interests": [],
-            "local_food_tip": "",
-            "full_day": {},
-            "seasons": {},
-            "public_transport_tips": [],
-            "city_events": [],
-            "places": [],
-            "hidden_gems": []
-            }
-            `
-      }
-    ]
-  });
-
-  const cityJSON = JSON.parse(
-    aiResponse.output[0].content[0].text
-  );
-
-  if (!cityJSON?.name) {
-    throw new Error("Invalid AI response: missing city name");
-  }
-
-  // --------------------------------------------------
-  // 3. DETERMINE COUNTRY (SIMPLE HEURISTIC)
+  // 2. DETERMINE COUNTRY (SIMPLE HEURISTIC)
   // --------------------------------------------------
   // You can later replace this with smarter logic if needed
-  const countryKey = detectCountryByCity(cityJSON.name);
+  const countryKey = detectCountryByCity(normalizedCity);
 
   if (!countryKey) {
     throw new Error("Country could not be determined");
@@ -107,27 +64,43 @@ export async function addCityIfMissing(cityName) {
   }
 
   // --------------------------------------------------
-  // 4. INSERT CITY & SORT
+  // 3. CITY NOT FOUND → GENERATE A SCHEMA-VALID CITY
   // --------------------------------------------------
-  const countryPath = path.join(COUNTRIES_PATH, countryFile);
-  const countryJSON = JSON.parse(fs.readFileSync(countryPath, "utf8"));
-
-  countryJSON.cities.push(cityJSON);
-
-  countryJSON.cities.sort((a, b) =>
-    a.name.localeCompare(b.name)
-  );
+  const countryName = (await getCountryFile(countryFile)).data?.name || countryKey;
+  const cityJSON = await generate(cityName.trim(), countryName, countryFile);
+
+  if (draft) {
+    return {
+      exists: false,
+      draft: true,
+      country: countryName,
+      file: countryFile,
+      city: cityJSON
+    };
+  }
 
-  fs.writeFileSync(
-    countryPath,
-    JSON.stringify(countryJSON, null, 2),
-    "utf8"
+  // --------------------------------------------------
+  // 4. INSERT CITY & SORT
+  // --------------------------------------------------
+  let existing = null;
+  const countryJSON = await updateCountryFile(
+    countryFile,
+    (data) => {
+      data.cities = Array.isArray(data.cities) ? data.cities : [];
+      existing = data.cities.find(
+        c => String(c?.name).toLowerCase() === cityJSON.name.toLowerCase()
+      );
+      if (existing) return false;
+      data.cities.push(cityJSON);
+      sortCities(data.cities);
+    },
+    revision
   );
 
   return {
-    exists: false,
+    exists: Boolean(existing),
     country: countryJSON.name,
-    city: cityJSON.name
+    city: (existing || cityJSON).name
   };
 }
 
@@ -0,0 +1,406 @@
+import { normalizeKey } from "./normalize.js";
+
+export const INTEREST_CATEGORIES = [
+  "Art & Culture",
+  "Photo Spots",
+  "Food & Nightlife",
+  "Nature & Relaxation"
+];
+
+export const SEASON_KEYS = ["spring", "summer", "autumn", "winter"];
+
+const SEASON_ALIASES = { fall: "autumn" };
+
+export const CITY_FIELDS = [
+  "name",
+  "interests",
+  "local_food_tip",
+  "full_day",
+  "seasons",
+  "public_transport_tips",
+  "city_events",
+  "places",
+  "hidden_gems"
+];
+
+export const CITY_SCHEMA_PROMPT = `{
+  "name": "",
+  "interests": {
+${INTEREST_CATEGORIES.map(
+  (category) => `    "${category}": [{ "name": "", "map_link": "", "description": "" }]`
+).join(",\n")}
+  },
+  "local_food_tip": "",
+  "full_day": { "Morning": "", "Afternoon": "", "Sunset": "", "Night": "" },
+  "seasons": {
+${SEASON_KEYS.map(
+  (season) =>
+    `    "${season}": { "main_event": "", "description": "", "ideas": [{ "name": "", "map_link": "", "description": "" }] }`
+).join(",\n")}
+  },
+  "public_transport_tips": [{ "tip": "", "link": "" }],
+  "city_events": [{ "name": "", "season": "", "description": "", "website": "", "dates": "" }],
+  "places": [{ "name": "", "map_link": "", "description": "" }],
+  "hidden_gems": [{ "name": "", "map_link": "", "description": "" }]
+}`;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+export function isValidUrl(value) {
+  if (typeof value !== "string" || !value.trim()) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+export function buildMapSearchLink(...parts) {
+  const url = new URL("https://www.google.com/maps/search/");
+  url.searchParams.set("api", "1");
+  url.searchParams.set("query", parts.filter(Boolean).join(" "));
+  return url.toString();
+}
+
+/**
+ * Validates a city object against the city schema. Extra keys are allowed;
+ * missing or mistyped required fields are reported with their JSON path.
+ */
+export function validateCity(city) {
+  const errors = [];
+  const fail = (pathName, message) => errors.push({ path: pathName, message });
+
+  const checkString = (value, pathName, { required = false } = {}) => {
+    if (value === undefined || value === null) {
+      if (required) fail(pathName, "is required");
+      return;
+    }
+    if (typeof value !== "string") {
+      fail(pathName, "must be a string");
+    } else if (required && !value.trim()) {
+      fail(pathName, "must not be empty");
+    }
+  };
+
+  const checkLink = (value, pathName, { required = false } = {}) => {
+    if (!value && !required) return;
+    if (!isValidUrl(value)) fail(pathName, "must be an http(s) URL");
+  };
+
+  const checkItems = (items, pathName, { nonEmpty = false } = {}) => {
+    if (!Array.isArray(items)) {
+      fail(pathName, "must be an array");
+      return;
+    }
+    if (nonEmpty && !items.length) fail(pathName, "must not be empty");
+    items.forEach((item, index) => {
+      const itemPath = `${pathName}[${index}]`;
+      if (!isPlainObject(item)) {
+        fail(itemPath, "must be an object");
+        return;
+      }
+      checkString(item.name, `${itemPath}.name`, { required: true });
+      checkLink(item.map_link, `${itemPath}.map_link`, { required: true });
+      checkString(item.description, `${itemPath}.description`);
+    });
+  };
+
+  if (!isPlainObject(city)) {
+    fail("", "city must be an object");
+    return { valid: false, errors };
+  }
+
+  checkString(city.name, "name", { required: true });
+
+  if (!isPlainObject(city.interests)) {
+    fail("interests", "must be an object");
+  } else {
+    for (const category of INTEREST_CATEGORIES) {
+      checkItems(city.interests[category], `interests.${category}`);
+    }
+  }
+
+  checkString(city.local_food_tip, "local_food_tip", { required: true });
+
+  if (!isPlainObject(city.full_day)) {
+    fail("full_day", "must be an object");
+  } else {
+    for (const [key, value] of Object.entries(city.full_day)) {
+      checkString(value, `full_day.${key}`);
+    }
+  }
+
+  if (!isPlainObject(city.seasons)) {
+    fail("seasons", "must be an object");
+  } else {
+    for (const key of Object.keys(city.seasons)) {
+      if (!SEASON_KEYS.includes(key)) fail(`seasons.${key}`, "is not a known season");
+    }
+    for (const season of SEASON_KEYS) {
+      const entry = city.seasons[season];
+      const seasonPath = `seasons.${season}`;
+      if (!isPlainObject(entry)) {
+        fail(seasonPath, "is required");
+        continue;
+      }
+      for (const key of ["main_event", "event", "highlight", "description"]) {
+        checkString(entry[key], `${seasonPath}.${key}`);
+      }
+      checkItems(entry.ideas, `${seasonPath}.ideas`);
+    }
+  }
+
+  if (!Array.isArray(city.public_transport_tips)) {
+    fail("public_transport_tips", "must be an array");
+  } else {
+    city.public_transport_tips.forEach((tip, index) => {
+      const tipPath = `public_transport_tips[${index}]`;
+      if (!isPlainObject(tip)) {
+        fail(tipPath, "must be an object");
+        return;
+      }
+      checkString(tip.tip, `${tipPath}.tip`, { required: true });
+      checkLink(tip.link, `${tipPath}.link`);
+    });
+  }
+
+  if (!Array.isArray(city.city_events)) {
+    fail("city_events", "must be an array");
+  } else {
+    city.city_events.forEach((event, index) => {
+      const eventPath = `city_events[${index}]`;
+      if (!isPlainObject(event)) {
+        fail(eventPath, "must be an object");
+        return;
+      }
+      for (const key of ["name", "season", "description", "dates"]) {
+        checkString(event[key], `${eventPath}.${key}`);
+      }
+      if (!event.name && !event.description) {
+        fail(eventPath, "needs a name or description");
+      }
+      checkLink(event.website, `${eventPath}.website`);
+      checkLink(event.map_link, `${eventPath}.map_link`);
+    });
+  }
+
+  checkItems(city.places, "places", { nonEmpty: true });
+  checkItems(city.hidden_gems, "hidden_gems");
+
+  return { valid: errors.length === 0, errors };
+}
+
+function toText(value) {
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  return "";
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === "") return [];
+  return [value];
+}
+
+/**
+ * Fixes recoverable problems in a (usually AI-generated) city object:
+ * coerces types, drops empty entries, fills missing season keys and
+ * rebuilds empty or malformed map links. Returns the repaired copy and a
+ * list of the repairs that were applied.
+ */
+export function repairCity(input, { name } = {}) {
+  const repairs = [];
+  const note = (pathName, message) => repairs.push({ path: pathName, message });
+  if (!isPlainObject(input)) {
+    return { city: input, repairs };
+  }
+
+  const city = structuredClone(input);
+
+  if (name && city.name !== name) {
+    city.name = name;
+    note("name", "set to requested city");
+  } else if (typeof city.name !== "string") {
+    city.name = toText(city.name);
+    note("name", "coerced to string");
+  }
+
+  const repairItems = (value, pathName) => {
+    if (!Array.isArray(value)) {
+      if (value !== undefined) note(pathName, "coerced to array");
+    }
+    return toArray(value)
+      .map((item, index) => {
+        const itemPath = `${pathName}[${index}]`;
+        const source = typeof item === "string" ? { name: item } : item;
+        if (!isPlainObject(source)) {
+          note(itemPath, "dropped non-object entry");
+          return null;
+        }
+        const itemName = toText(source.name);
+        if (!itemName) {
+          note(itemPath, "dropped entry without a name");
+          return null;
+        }
+        const repaired = {
+          ...source,
+          name: itemName,
+          map_link: toText(source.map_link ?? source.link),
+          description: toText(source.description)
+        };
+        if (source.link !== undefined && source.map_link === undefined) {
+          delete repaired.link;
+        }
+        if (!isValidUrl(repaired.map_link)) {
+          repaired.map_link = buildMapSearchLink(itemName, city.name);
+          note(`${itemPath}.map_link`, "replaced with map search link");
+        }
+        return repaired;
+      })
+      .filter(Boolean);
+  };
+
+  const categoryFor = (value) =>
+    INTEREST_CATEGORIES.find((category) => normalizeKey(category) === normalizeKey(value));
+
+  if (Array.isArray(city.interests)) {
+    const grouped = {};
+    for (const item of city.interests) {
+      const category = categoryFor(item?.category) || categoryFor(item?.type) || INTEREST_CATEGORIES[0];
+      if (isPlainObject(item)) {
+        const { category: _category, type: _type, ...rest } = item;
+        (grouped[category] ||= []).push(rest);
+      } else {
+        (grouped[category] ||= []).push(item);
+      }
+    }
+    city.interests = grouped;
+    note("interests", "converted array to object");
+  } else if (!isPlainObject(city.interests)) {
+    city.interests = {};
+    note("interests", "replaced with empty object");
+  }
+
+  const interests = {};
+  for (const [key, items] of Object.entries(city.interests)) {
+    const category = categoryFor(key) || key;
+    if (category !== key) note(`interests.${key}`, `renamed to ${category}`);
+    interests[category] = [
+      ...(interests[category] || []),
+      ...repairItems(items, `interests.${category}`)
+    ];
+  }
+  for (const category of INTEREST_CATEGORIES) {
+    if (!interests[category]) {
+      interests[category] = [];
+      note(`interests.${category}`, "added missing category");
+    }
+  }
+  city.interests = interests;
+
+  if (isPlainObject(city.local_food_tip)) {
+    const tip = city.local_food_tip;
+    city.local_food_tip = [toText(tip.name), toText(tip.description)].filter(Boolean).join(": ");
+    note("local_food_tip", "flattened object to string");
+  } else if (typeof city.local_food_tip !== "string") {
+    city.local_food_tip = toText(city.local_food_tip);
+    note("local_food_tip", "coerced to string");
+  }
+
+  if (!isPlainObject(city.full_day)) {
+    city.full_day = {};
+    note("full_day", "replaced with empty object");
+  }
+  for (const [key, value] of Object.entries(city.full_day)) {
+    if (typeof value !== "string") {
+      city.full_day[key] = toText(value);
+      note(`full_day.${key}`, "coerced to string");
+    }
+  }
+
+  const sourceSeasons = isPlainObject(city.seasons) ? city.seasons : {};
+  if (!isPlainObject(city.seasons)) note("seasons", "replaced with empty object");
+  const seasons = {};
+  for (const [key, value] of Object.entries(sourceSeasons)) {
+    const lower = key.toLowerCase();
+    const season = SEASON_ALIASES[lower] || lower;
+    if (!SEASON_KEYS.includes(season)) {
+      note(`seasons.${key}`, "dropped unknown season");
+      continue;
+    }
+    if (season !== key) note(`seasons.${key}`, `renamed to ${season}`);
+    seasons[season] = value;
+  }
+  for (const season of SEASON_KEYS) {
+    const seasonPath = `seasons.${season}`;
+    const entry = isPlainObject(seasons[season]) ? { ...seasons[season] } : null;
+    if (!entry) {
+      seasons[season] = { main_event: "", description: "", ideas: [] };
+      note(seasonPath, "added missing season");
+      continue;
+    }
+    if (entry.main_event === undefined && entry.event !== undefined) {
+      entry.main_event = entry.event;
+      delete entry.event;
+      note(`${seasonPath}.event`, "renamed to main_event");
+    }
+    for (const key of ["main_event", "event", "highlight", "description"]) {
+      if (entry[key] !== undefined && typeof entry[key] !== "string") {
+        entry[key] = toText(entry[key]);
+        note(`${seasonPath}.${key}`, "coerced to string");
+      }
+    }
+    entry.ideas = repairItems(entry.ideas, `${seasonPath}.ideas`);
+    seasons[season] = entry;
+  }
+  city.seasons = seasons;
+
+  city.public_transport_tips = toArray(city.public_transport_tips)
+    .map((tip, index) => {
+      const source = typeof tip === "string" ? { tip } : tip;
+      const text = toText(source?.tip);
+      if (!text) {
+        note(`public_transport_tips[${index}]`, "dropped empty tip");
+        return null;
+      }
+      const link = toText(source.link);
+      if (link && !isValidUrl(link)) {
+        note(`public_transport_tips[${index}].link`, "dropped malformed link");
+      }
+      return { ...source, tip: text, link: isValidUrl(link) ? link : "" };
+    })
+    .filter(Boolean);
+
+  city.city_events = toArray(city.city_events)
+    .map((event, index) => {
+      const eventPath = `city_events[${index}]`;
+      if (!isPlainObject(event)) {
+        note(eventPath, "dropped non-object entry");
+        return null;
+      }
+      const repaired = { ...event };
+      for (const key of ["name", "season", "description", "dates", "website", "map_link"]) {
+        if (repaired[key] !== undefined) repaired[key] = toText(repaired[key]);
+      }
+      if (!repaired.name && !repaired.description) {
+        note(eventPath, "dropped empty event");
+        return null;
+      }
+      for (const key of ["website", "map_link"]) {
+        if (repaired[key] && !isValidUrl(repaired[key])) {
+          repaired[key] = "";
+          note(`${eventPath}.${key}`, "dropped malformed link");
+        }
+      }
+      return repaired;
+    })
+    .filter(Boolean);
+
+  city.places = repairItems(city.places, "places");
+  city.hidden_gems = repairItems(city.hidden_gems, "hidden_gems");
+
+  return { city, repairs };
+}
@@ -0,0 +1,82 @@
+import dotenv from "dotenv";
+import OpenAI from "openai";
+import { getCountryFile, writeCityTranslation } from "./countryRepository.js";
+import { repairCity, validateCity } from "./citySchema.js";
+import { LOCALE_NAMES, DEFAULT_LOCALE } from "./locales.js";
+import { normalizeName } from "./normalize.js";
+
+dotenv.config();
+
+const client = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+export async function translateCity(city, lang) {
+  if (!LOCALE_NAMES[lang] || lang === DEFAULT_LOCALE) {
+    const err = new Error("Unsupported language.");
+    err.status = 400;
+    throw err;
+  }
+
+  const response = await client.responses.create({
+    model: "gpt-4.1-mini",
+    max_output_tokens: 4000,
+    text: {
+      format: { type: "json_object" }
+    },
+    input: [
+      {
+        role: "system",
+        content: `
+You translate city guides. Reply with JSON only (no markdown/comments).
+Translate every text value of the given city JSON into ${LOCALE_NAMES[lang]}.
+Rules: keep all keys, the structure and array order unchanged; keep URLs unchanged; keep the top-level "name" exactly as given; keep <a> links and emojis.
+`
+      },
+      {
+        role: "user",
+        content: JSON.stringify(city)
+      }
+    ]
+  });
+
+  const jsonText = response.output?.[0]?.content?.[0]?.text || "";
+  let candidate;
+  try {
+    candidate = JSON.parse(jsonText);
+  } catch {
+    candidate = null;
+  }
+
+  const { city: repaired, repairs } = repairCity(candidate, { name: city.name });
+  const { valid, errors } = validateCity(repaired);
+  if (!valid) {
+    const err = new Error("AI translation failed city schema validation.");
+    err.status = 502;
+    err.details = { city: city.name, lang, errors, repairs };
+    throw err;
+  }
+
+  return repaired;
+}
+
+/**
+ * Translates a city that already exists in a country file and stores the
+ * result in the locale file for `lang`.
+ */
+export async function translateCityInFile(fileName, cityName, lang, meta) {
+  const { data } = await getCountryFile(fileName);
+  const target = normalizeName(cityName);
+  const city = (Array.isArray(data?.cities) ? data.cities : []).find(
+    (entry) => normalizeName(entry?.name) === target
+  );
+  if (!city) {
+    const err = new Error("City not found.");
+    err.status = 404;
+    throw err;
+  }
+
+  const translated = await translateCity(city, lang);
+  await writeCityTranslation(fileName, lang, translated, meta);
+  return { file: fileName, city: translated.name, lang };
+}
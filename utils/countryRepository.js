@@ -0,0 +1,409 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { fileURLToPath } from "url";
+import { normalizeName } from "./normalize.js";
+import { DEFAULT_LOCALE } from "./locales.js";
+import { recordRevision } from "./countryRevisions.js";
+import { withFileLock, writeJsonFile } from "./jsonFile.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const COUNTRIES_DIR = path.join(__dirname, "..", "data", "countries");
+export const COUNTRY_LEVELS = ["easy", "medium", "expert"];
+export const DEFAULT_LEVEL = "easy";
+const LOCALES_DIR_NAME = "i18n";
+
+const cache = new Map();
+const localizedCache = new Map();
+const events = new EventEmitter();
+let listingCache = null;
+
+function hashBody(body) {
+  return `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+export function sortCities(cities) {
+  return cities.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+function repositoryError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function resolveCountryFile(fileName) {
+  if (!fileName || !fileName.endsWith(".json")) {
+    return { error: "Invalid file name." };
+  }
+
+  const resolvedPath = path.resolve(COUNTRIES_DIR, fileName);
+  if (!resolvedPath.startsWith(COUNTRIES_DIR + path.sep)) {
+    return { error: "Invalid file path." };
+  }
+
+  return { path: resolvedPath };
+}
+
+export function normalizeLevel(value) {
+  const level = String(value || "").trim().toLowerCase();
+  return COUNTRY_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Splits `recommendations_<Country>_<level>.json` into its base name and
+ * level. Returns null for files that do not follow the naming scheme.
+ */
+export function parseCountryFileName(fileName) {
+  const match = /^(.+)_([a-z]+)\.json$/i.exec(fileName || "");
+  const level = normalizeLevel(match?.[2]);
+  return level ? { base: match[1], level } : null;
+}
+
+export function countryFileForLevel(fileName, level) {
+  const parsed = parseCountryFileName(fileName);
+  return parsed ? `${parsed.base}_${level}.json` : fileName;
+}
+
+/**
+ * Returns the cached entry for a country file, re-reading it when the file
+ * changed on disk. `data` is shared between callers and must not be mutated;
+ * use `readCountryForUpdate` before changing it.
+ */
+export async function getCountryFile(fileName) {
+  const resolved = resolveCountryFile(fileName);
+  if (resolved.error) {
+    throw repositoryError(resolved.error, 400);
+  }
+
+  const file = path.relative(COUNTRIES_DIR, resolved.path);
+  let stat;
+  try {
+    stat = await fs.promises.stat(resolved.path);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      cache.delete(file);
+      throw repositoryError("File not found.", 404);
+    }
+    throw err;
+  }
+
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached;
+  }
+
+  const raw = await fs.promises.readFile(resolved.path, "utf8");
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    throw repositoryError("Invalid JSON file.", 500);
+  }
+
+  const body = JSON.stringify(data);
+  const entry = {
+    file,
+    path: resolved.path,
+    data,
+    body,
+    etag: hashBody(body),
+    lastModified: stat.mtime,
+    mtimeMs: stat.mtimeMs,
+    size: stat.size
+  };
+  cache.set(file, entry);
+
+  if (cached) {
+    listingCache = null;
+    events.emit("change", file);
+  }
+
+  return entry;
+}
+
+/**
+ * Loads the variant of a country file for the requested level, falling back
+ * to the default level when that variant does not exist yet.
+ */
+export async function getCountryFileForLevel(fileName, level) {
+  if (!level) {
+    const entry = await getCountryFile(fileName);
+    return { entry, level: parseCountryFileName(entry.file)?.level || DEFAULT_LEVEL, fallback: false };
+  }
+
+  const target = countryFileForLevel(fileName, level);
+  try {
+    return { entry: await getCountryFile(target), level, fallback: false };
+  } catch (err) {
+    if (err.status !== 404 || level === DEFAULT_LEVEL) throw err;
+  }
+
+  const entry = await getCountryFile(countryFileForLevel(fileName, DEFAULT_LEVEL));
+  return { entry, level: DEFAULT_LEVEL, fallback: true };
+}
+
+export async function readCountryForUpdate(fileName) {
+  const entry = await getCountryFile(fileName);
+  return structuredClone(entry.data);
+}
+
+async function readPreviousContent(filePath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" || err instanceof SyntaxError) return null;
+    throw err;
+  }
+}
+
+function resolveOrThrow(fileName) {
+  const resolved = resolveCountryFile(fileName);
+  if (resolved.error) {
+    throw repositoryError(resolved.error, 400);
+  }
+  return resolved.path;
+}
+
+/**
+ * Runs `task` while holding the per-process lock of a country file. Every
+ * write goes through this lock, so a read-modify-write never loses a
+ * concurrent change.
+ */
+export function lockCountryFile(fileName, task) {
+  return withFileLock(resolveOrThrow(fileName), task);
+}
+
+/**
+ * Writes a country file atomically and records a revision of the change.
+ * `meta` describes who made it ({ actor, route, reason }). Callers must hold
+ * the file's lock; use `updateCountryFile` to change existing content.
+ */
+export async function writeCountryFile(fileName, data, meta = {}) {
+  const filePath = resolveOrThrow(fileName);
+  const file = path.relative(COUNTRIES_DIR, filePath);
+  const previous = await readPreviousContent(filePath);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await writeJsonFile(filePath, data);
+  cache.delete(file);
+  listingCache = null;
+  events.emit("change", file);
+
+  try {
+    await recordRevision(file, previous, data, meta);
+  } catch (err) {
+    console.error(`Failed to record revision for ${file}`, err);
+  }
+}
+
+/**
+ * Reads a fresh copy of a country file under its lock, lets `mutate` change
+ * it and writes it back. Returning false from `mutate` skips the write;
+ * throwing aborts it. `initial()` supplies the content of a file that does
+ * not exist yet. Resolves to the written data.
+ */
+export async function updateCountryFile(fileName, mutate, meta = {}, { initial } = {}) {
+  return lockCountryFile(fileName, async () => {
+    let data;
+    try {
+      data = await readCountryForUpdate(fileName);
+    } catch (err) {
+      if (err.status !== 404 || !initial) throw err;
+      data = await initial();
+    }
+    if ((await mutate(data)) === false) return data;
+    await writeCountryFile(fileName, data, meta);
+    return data;
+  });
+}
+
+/**
+ * Translated cities live next to the source files under
+ * `i18n/<lang>/<file>` and only hold the cities that were translated.
+ */
+export function localeCountryFile(fileName, lang) {
+  return path.join(LOCALES_DIR_NAME, lang, fileName);
+}
+
+export function isLocaleCountryFile(fileName) {
+  return fileName.split(path.sep)[0] === LOCALES_DIR_NAME;
+}
+
+async function getLocaleEntry(fileName, lang) {
+  try {
+    return await getCountryFile(localeCountryFile(fileName, lang));
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Overlays the translated cities of `lang` on a country entry. Cities that
+ * have no translation stay in English.
+ */
+export async function localizeCountryEntry(entry, lang) {
+  if (!lang || lang === DEFAULT_LOCALE) return { ...entry, lang: DEFAULT_LOCALE };
+
+  const locale = await getLocaleEntry(entry.file, lang);
+  if (!locale) return { ...entry, lang: DEFAULT_LOCALE };
+
+  const key = `${entry.file}|${lang}`;
+  const cached = localizedCache.get(key);
+  if (cached && cached.baseEtag === entry.etag && cached.localeEtag === locale.etag) {
+    return cached;
+  }
+
+  const translations = new Map(
+    (Array.isArray(locale.data?.cities) ? locale.data.cities : []).map((city) => [
+      normalizeName(city?.name),
+      city
+    ])
+  );
+  const cities = (Array.isArray(entry.data?.cities) ? entry.data.cities : []).map(
+    (city) => translations.get(normalizeName(city?.name)) || city
+  );
+  const data = { ...entry.data, cities };
+  const body = JSON.stringify(data);
+  const localized = {
+    file: entry.file,
+    data,
+    body,
+    etag: hashBody(body),
+    lastModified: entry.lastModified > locale.lastModified ? entry.lastModified : locale.lastModified,
+    lang,
+    baseEtag: entry.etag,
+    localeEtag: locale.etag
+  };
+  localizedCache.set(key, localized);
+  return localized;
+}
+
+export async function findCityTranslation(fileName, cityName, lang) {
+  if (!lang || lang === DEFAULT_LOCALE) return null;
+  const locale = await getLocaleEntry(fileName, lang);
+  const cities = Array.isArray(locale?.data?.cities) ? locale.data.cities : [];
+  const target = normalizeName(cityName);
+  return cities.find((city) => normalizeName(city?.name) === target) || null;
+}
+
+export async function writeCityTranslation(fileName, lang, city, meta) {
+  const target = normalizeName(city.name);
+  await updateCountryFile(
+    localeCountryFile(fileName, lang),
+    (data) => {
+      data.cities = (Array.isArray(data.cities) ? data.cities : []).filter(
+        (entry) => normalizeName(entry?.name) !== target
+      );
+      data.cities.push(city);
+      sortCities(data.cities);
+    },
+    meta,
+    {
+      initial: async () => {
+        const base = await getCountryFile(fileName);
+        return { name: base.data?.name || "", cities: [] };
+      }
+    }
+  );
+}
+
+/**
+ * Removes a city from every locale file of a country file and returns the
+ * removed translations so callers can re-home them after a rename or move.
+ */
+export async function removeCityTranslations(fileName, cityName, meta) {
+  const localesDir = path.join(COUNTRIES_DIR, LOCALES_DIR_NAME);
+  const langs = await fs.promises.readdir(localesDir).catch(() => []);
+  const target = normalizeName(cityName);
+  const removed = [];
+
+  for (const lang of langs) {
+    const locale = await getLocaleEntry(fileName, lang).catch(() => null);
+    if (!locale) continue;
+
+    await updateCountryFile(
+      localeCountryFile(fileName, lang),
+      (data) => {
+        const cities = Array.isArray(data.cities) ? data.cities : [];
+        const city = cities.find((entry) => normalizeName(entry?.name) === target);
+        if (!city) return false;
+        data.cities = cities.filter((entry) => entry !== city);
+        removed.push({ lang, city: structuredClone(city) });
+      },
+      meta
+    );
+  }
+
+  return removed;
+}
+
+export async function listCountryFiles() {
+  const files = await fs.promises.readdir(COUNTRIES_DIR);
+  return files.filter((file) => file.endsWith(".json")).sort();
+}
+
+/**
+ * Country names and files, served from the file cache. Level variants of a
+ * country are grouped into one entry whose `file` is the default level.
+ * The listing carries its own ETag derived from the ETags of the files it
+ * was built from.
+ */
+export async function listCountries() {
+  const files = await listCountryFiles();
+  const loaded = await Promise.all(
+    files.map(async (file) => {
+      try {
+        return await getCountryFile(file);
+      } catch (err) {
+        console.error(`Failed to load country file: ${file}`);
+        return null;
+      }
+    })
+  );
+
+  const signature = loaded.map((entry) => (entry ? `${entry.file}:${entry.etag}` : "")).join("|");
+  if (listingCache && listingCache.signature === signature) {
+    return listingCache;
+  }
+
+  const groups = new Map();
+  for (const entry of loaded) {
+    if (!entry?.data?.name) continue;
+    const parsed = parseCountryFileName(entry.file);
+    const key = parsed ? parsed.base.toLowerCase() : entry.file;
+    const level = parsed?.level || DEFAULT_LEVEL;
+
+    if (!groups.has(key)) {
+      groups.set(key, { name: entry.data.name, file: entry.file, files: {} });
+    }
+    const group = groups.get(key);
+    group.files[level] = entry.file;
+    if (level === DEFAULT_LEVEL) {
+      group.name = entry.data.name;
+      group.file = entry.file;
+    }
+  }
+
+  const countries = [...groups.values()]
+    .map((group) => ({
+      ...group,
+      levels: COUNTRY_LEVELS.filter((level) => group.files[level])
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const lastModified = loaded.reduce(
+    (latest, entry) => (entry && entry.lastModified > latest ? entry.lastModified : latest),
+    new Date(0)
+  );
+  const body = JSON.stringify({ countries });
+
+  listingCache = { signature, countries, body, etag: hashBody(body), lastModified };
+  return listingCache;
+}
+
+export function onCountryFileChange(listener) {
+  events.on("change", listener);
+  return () => events.off("change", listener);
+}
@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { normalizeName } from "./normalize.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REVISIONS_DIR = path.join(__dirname, "..", "data", "revisions");
+const REVISION_LIMIT = Number(process.env.COUNTRY_REVISION_LIMIT || 20);
+
+function revisionsDirFor(file) {
+  const dir = path.resolve(REVISIONS_DIR, file);
+  if (!dir.startsWith(REVISIONS_DIR + path.sep)) {
+    const err = new Error("Invalid file path.");
+    err.status = 400;
+    throw err;
+  }
+  return dir;
+}
+
+function citiesByName(data) {
+  const cities = Array.isArray(data?.cities) ? data.cities : [];
+  return new Map(cities.map((city) => [normalizeName(city?.name), city]));
+}
+
+/**
+ * City-level diff between two versions of a country file. Changed cities
+ * list the top-level fields that differ with their old and new values.
+ */
+export function diffCountry(before, after) {
+  const previous = citiesByName(before);
+  const next = citiesByName(after);
+  const cities = [];
+
+  for (const [key, city] of next) {
+    const old = previous.get(key);
+    if (!old) {
+      cities.push({ city: city?.name, change: "added" });
+      continue;
+    }
+
+    const fields = [...new Set([...Object.keys(old), ...Object.keys(city)])]
+      .filter((field) => JSON.stringify(old[field]) !== JSON.stringify(city[field]))
+      .map((field) => ({ field, before: old[field], after: city[field] }));
+    if (fields.length) {
+      cities.push({ city: city?.name, change: "changed", fields });
+    }
+  }
+
+  for (const [key, city] of previous) {
+    if (!next.has(key)) cities.push({ city: city?.name, change: "removed" });
+  }
+
+  const diff = { cities };
+  if ((before?.name || "") !== (after?.name || "")) {
+    diff.country = { before: before?.name ?? null, after: after?.name ?? null };
+  }
+  return diff;
+}
+
+export function revisionMetaFromRequest(req) {
+  return {
+    actor: req.user?.userId
+      ? { userId: req.user.userId, email: req.user.email || "" }
+      : { system: "api" },
+    route: `${req.method} ${req.baseUrl || ""}${req.route?.path || req.path}`
+  };
+}
+
+async function pruneRevisions(dir) {
+  const files = (await fs.promises.readdir(dir)).filter((name) => name.endsWith(".json")).sort();
+  const excess = files.slice(0, Math.max(files.length - REVISION_LIMIT, 0));
+  await Promise.all(excess.map((name) => fs.promises.unlink(path.join(dir, name))));
+}
+
+/**
+ * Stores the content a write replaced (`snapshot`) together with who made
+ * the change and the city diff, keeping the newest REVISION_LIMIT per file.
+ */
+export async function recordRevision(file, before, after, meta = {}) {
+  const dir = revisionsDirFor(file);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const id = `${Date.now().toString().padStart(14, "0")}-${crypto.randomBytes(3).toString("hex")}`;
+  const revision = {
+    id,
+    file,
+    createdAt: new Date().toISOString(),
+    actor: meta.actor || { system: "unknown" },
+    route: meta.route || "",
+    reason: meta.reason || undefined,
+    diff: diffCountry(before, after),
+    snapshot: before
+  };
+
+  await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(revision, null, 2), "utf8");
+  await pruneRevisions(dir);
+  return revision;
+}
+
+export async function listRevisions(file) {
+  const dir = revisionsDirFor(file);
+  const names = await fs.promises.readdir(dir).catch((err) => {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  });
+
+  const revisions = [];
+  for (const name of names.filter((entry) => entry.endsWith(".json")).sort().reverse()) {
+    const raw = await fs.promises.readFile(path.join(dir, name), "utf8");
+    const { snapshot, ...revision } = JSON.parse(raw);
+    revisions.push(revision);
+  }
+  return revisions;
+}
+
+export async function getRevision(file, id) {
+  if (!/^[\w-]+$/.test(String(id))) return null;
+  try {
+    const raw = await fs.promises.readFile(path.join(revisionsDirFor(file), `${id}.json`), "utf8");
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
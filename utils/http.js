@@ -0,0 +1,16 @@
+export function httpError(message, status, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * Answers with the status an error carries (500 when it has none) and
+ * logs server errors.
+ */
+export function sendError(res, err, fallback) {
+  if (!err.status || err.status >= 500) console.error(err);
+  const status = err.status || 500;
+  return res.status(status).json({ error: err.message || fallback, details: err.details });
+}
@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const fileQueues = new Map();
+
+export async function readJsonFile(filePath, fallback) {
+  try {
+    const raw = await fs.promises.readFile(filePath, "utf8");
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+/**
+ * Writes to a temp file next to the target and renames it over the target,
+ * so readers never see a half-written file.
+ */
+export async function writeJsonFile(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`
+  );
+  try {
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), "utf8");
+    await fs.promises.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Runs `task` after every earlier task for the same file has settled, so
+ * read-modify-write sequences on one file never interleave. The queue is
+ * per process; run a single API process when using JSON storage.
+ */
+export function withFileLock(filePath, task) {
+  const key = path.resolve(filePath);
+  const previous = fileQueues.get(key) || Promise.resolve();
+  const run = previous.then(() => task());
+  const settled = run.catch(() => {});
+  fileQueues.set(key, settled);
+  settled.then(() => {
+    if (fileQueues.get(key) === settled) fileQueues.delete(key);
+  });
+  return run;
+}
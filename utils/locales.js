@@ -0,0 +1,54 @@
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALE_NAMES = {
+  en: "English",
+  sq: "Albanian",
+  bs: "Bosnian",
+  bg: "Bulgarian",
+  hr: "Croatian",
+  cs: "Czech",
+  de: "German",
+  el: "Greek",
+  hu: "Hungarian",
+  mk: "Macedonian",
+  me: "Montenegrin",
+  pl: "Polish",
+  ro: "Romanian",
+  sr: "Serbian (Latin script)",
+  sk: "Slovak",
+  sl: "Slovenian"
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALE_NAMES);
+
+export function normalizeLocale(value) {
+  const primary = String(value || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+/**
+ * Picks the content locale for a request: an explicit `lang` value wins,
+ * otherwise the best supported match from Accept-Language, otherwise English.
+ * Returns null when an explicit value is not supported.
+ */
+export function negotiateLocale(req, explicit) {
+  if (explicit !== undefined && explicit !== null && explicit !== "") {
+    return normalizeLocale(explicit);
+  }
+
+  const accepted = req.acceptsLanguages();
+  for (const tag of accepted) {
+    if (tag === "*") break;
+    const locale = normalizeLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function languageInstruction(lang) {
+  if (!lang || lang === DEFAULT_LOCALE) return "";
+  return `Language: write every text value in ${LOCALE_NAMES[lang]}; keep JSON keys and URLs unchanged.`;
+}
@@ -0,0 +1,19 @@
+import dotenv from "dotenv";
+import nodemailer from "nodemailer";
+
+dotenv.config();
+
+const smtpPort = Number(process.env.SMTP_PORT || 587);
+
+// null when SMTP_HOST is not set.
+export const mailTransport = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "smtp.gmail.com",
+      port: smtpPort,
+      secure: smtpPort === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    })
+  : null;
+export const SMTP_FROM = process.env.SMTP_FROM || process.env.SMTP_USER || "";
@@ -0,0 +1,20 @@
+export function normalizeName(value) {
+  return value
+    ? String(value)
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+    : "";
+}
+
+export function normalizeKey(value) {
+  return normalizeName(value).replace(/\s+/g, "");
+}
+
+export function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+export function normalizeUserName(value) {
+  return normalizeName(String(value || "").trim()).replace(/\s+/g, " ");
+}
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { storage } from "../storage/index.js";
+
+const PASSWORD_RESET_TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MS || 60 * 60 * 1000);
+// Defaults to the signup email resend interval.
+const PASSWORD_RESET_MIN_INTERVAL_MS = Number(
+  process.env.PASSWORD_RESET_MIN_INTERVAL_MS ||
+    process.env.PENDING_RESEND_MIN_INTERVAL_MS ||
+    60 * 1000
+);
+
+function resetError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/*
+ * A reset token is "<userId>.<secret>". Only the hash of the secret is kept,
+ * on the user record as passwordReset: { tokenHash, requestedAt, expiresAt };
+ * a new request replaces the previous token.
+ */
+
+/**
+ * Creates a reset token for the user, or returns null when one was issued
+ * less than PASSWORD_RESET_MIN_INTERVAL_MS ago.
+ */
+export async function issuePasswordReset(userId, now = new Date()) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  let issued = false;
+  await storage.users.modify(userId, (user) => {
+    const lastRequestedAt = Date.parse(user.passwordReset?.requestedAt || "");
+    if (now.getTime() - lastRequestedAt < PASSWORD_RESET_MIN_INTERVAL_MS) return false;
+    user.passwordReset = {
+      tokenHash: hashSecret(secret),
+      requestedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MS).toISOString()
+    };
+    issued = true;
+  });
+  return issued ? `${userId}.${secret}` : null;
+}
+
+function matchesReset(reset, secret, now) {
+  if (!reset?.tokenHash || new Date(reset.expiresAt) <= now) return false;
+  const expected = Buffer.from(reset.tokenHash, "hex");
+  const actual = Buffer.from(hashSecret(secret), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Sets a new password with a reset token. The token works once, and the
+ * user's existing sessions are ended by bumping their token version.
+ */
+export async function resetPassword(token, password) {
+  const value = String(token || "");
+  const separator = value.indexOf(".");
+  const userId = value.slice(0, separator);
+  const secret = value.slice(separator + 1);
+  if (separator < 1 || !secret) {
+    throw resetError("Invalid or expired token.", 400);
+  }
+
+  const passwordHash = await bcrypt.hash(String(password), 10);
+  const now = new Date();
+  const user = await storage.users.modify(userId, (record) => {
+    if (!matchesReset(record.passwordReset, secret, now)) {
+      throw resetError("Invalid or expired token.", 400);
+    }
+    record.passwordHash = passwordHash;
+    record.passwordChangedAt = now.toISOString();
+    record.tokenVersion = (record.tokenVersion || 0) + 1;
+    delete record.passwordReset;
+  });
+  if (!user) {
+    throw resetError("Invalid or expired token.", 400);
+  }
+  return user;
+}
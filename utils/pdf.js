@@ -0,0 +1,62 @@
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+/**
+ * Text in the standard fonts is WinAnsi-encoded; characters outside
+ * Latin-1 are replaced with "?".
+ */
+function pdfString(text) {
+  const latin1 = String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+  return `(${latin1.replace(/[\\()]/g, (char) => `\\${char}`)})`;
+}
+
+/**
+ * Renders a single A4 page of text as a PDF. `lines` are
+ * { text, size = 11, bold = false, right? } from the top down; `right` is
+ * printed right-aligned on the same line, and `{ gap }` adds space.
+ * Long documents are not paginated.
+ */
+export function renderTextPdf(lines) {
+  const commands = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const line of lines) {
+    const size = line.size || 11;
+    y -= line.gap ?? size * 1.5;
+    if (line.text === undefined) continue;
+
+    const font = line.bold ? "F2" : "F1";
+    commands.push(`BT /${font} ${size} Tf ${MARGIN} ${y.toFixed(1)} Td ${pdfString(line.text)} Tj ET`);
+    if (line.right !== undefined) {
+      // Helvetica digits are 0.556 em wide; close enough to align amounts.
+      const width = String(line.right).length * size * 0.556;
+      const x = PAGE_WIDTH - MARGIN - width;
+      commands.push(
+        `BT /${font} ${size} Tf ${x.toFixed(1)} ${y.toFixed(1)} Td ${pdfString(line.right)} Tj ET`
+      );
+    }
+  }
+  const content = commands.join("\n");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      "/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
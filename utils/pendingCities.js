@@ -0,0 +1,226 @@
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import {
+  updateCountryFile,
+  writeCityTranslation,
+  sortCities
+} from "./countryRepository.js";
+import { validateCity } from "./citySchema.js";
+import { normalizeName } from "./normalize.js";
+import { readJsonFile, writeJsonFile, withFileLock } from "./jsonFile.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PENDING_CITIES_PATH = path.join(__dirname, "..", "data", "pending_cities.json");
+
+export const PENDING_STATUSES = ["pending", "approving", "approved", "rejected"];
+
+/**
+ * When CITY_MODERATION=true, AI-generated cities are stored here for review
+ * instead of being written into the public country files.
+ */
+export function isModerationEnabled() {
+  return String(process.env.CITY_MODERATION || "").toLowerCase() === "true";
+}
+
+function pendingError(message, status, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+function readPendingCities() {
+  return readJsonFile(PENDING_CITIES_PATH, []);
+}
+
+function changePendingCities(change) {
+  return withFileLock(PENDING_CITIES_PATH, async () => {
+    const entries = await readPendingCities();
+    const result = await change(entries);
+    await writeJsonFile(PENDING_CITIES_PATH, entries);
+    return result;
+  });
+}
+
+export async function createPendingCity({ file, level, country, city, requestedBy, route }) {
+  const entry = {
+    id: `pc_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+    status: "pending",
+    file,
+    level,
+    country,
+    city,
+    translations: {},
+    requestedBy,
+    route,
+    createdAt: new Date().toISOString()
+  };
+  return changePendingCities((entries) => {
+    entries.push(entry);
+    return entry;
+  });
+}
+
+/**
+ * The open draft a user already has for a city, so asking for the same
+ * city twice does not generate (and charge) it again.
+ */
+export async function findPendingCity(file, cityName, userId) {
+  const target = normalizeName(cityName);
+  const entries = await readPendingCities();
+  return (
+    entries.find(
+      (entry) =>
+        entry.status === "pending" &&
+        entry.file === file &&
+        entry.requestedBy?.userId === userId &&
+        normalizeName(entry.city?.name) === target
+    ) || null
+  );
+}
+
+export async function listPendingCities({ userId, status } = {}) {
+  const entries = await readPendingCities();
+  return entries
+    .filter((entry) => !userId || entry.requestedBy?.userId === userId)
+    .filter((entry) => !status || entry.status === status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * For account deletion: drops the user's open drafts and removes their
+ * name from reviewed ones, which moderators keep as history.
+ */
+export async function forgetPendingCitiesOf(userId) {
+  return changePendingCities((entries) => {
+    const kept = entries.filter(
+      (entry) => entry.status !== "pending" || entry.requestedBy?.userId !== userId
+    );
+    for (const entry of kept) {
+      if (entry.requestedBy?.userId === userId) entry.requestedBy = null;
+    }
+    entries.splice(0, entries.length, ...kept);
+  });
+}
+
+export async function getPendingCity(id) {
+  const entries = await readPendingCities();
+  return entries.find((entry) => entry.id === id) || null;
+}
+
+function updatePendingEntry(id, update) {
+  return changePendingCities(async (entries) => {
+    const entry = entries.find((item) => item.id === id);
+    if (!entry) {
+      throw pendingError("Pending city not found.", 404);
+    }
+    await update(entry);
+    return entry;
+  });
+}
+
+function assertOpen(entry, status = "pending") {
+  if (entry.status !== status) {
+    throw pendingError(`Pending city was already ${entry.status}.`, 409);
+  }
+}
+
+export async function savePendingTranslation(id, lang, city) {
+  return updatePendingEntry(id, (entry) => {
+    entry.translations = { ...(entry.translations || {}), [lang]: city };
+  });
+}
+
+/**
+ * Replaces fields of the draft. The edited city must pass schema validation
+ * and keep a name; translations made from the old content are dropped.
+ */
+export async function editPendingCity(id, changes) {
+  return updatePendingEntry(id, (entry) => {
+    assertOpen(entry);
+    const city = { ...entry.city, ...changes };
+    city.name = typeof city.name === "string" ? city.name.trim() : "";
+    if (!city.name) {
+      throw pendingError("City name must not be empty.", 400);
+    }
+
+    const { valid, errors } = validateCity(city);
+    if (!valid) {
+      throw pendingError("City failed schema validation.", 422, { errors });
+    }
+
+    entry.city = city;
+    entry.translations = {};
+    entry.updatedAt = new Date().toISOString();
+  });
+}
+
+/**
+ * Merges the draft into its country file (creating the level variant when
+ * needed) together with any translations made while it was pending. The
+ * entry is claimed as "approving" first so a concurrent approval, rejection
+ * or edit gets a 409; the claim is released if the country file is not
+ * written.
+ */
+export async function approvePendingCity(id, reviewer, meta = {}) {
+  const entry = await updatePendingEntry(id, (current) => {
+    assertOpen(current);
+    const { valid, errors } = validateCity(current.city);
+    if (!valid) {
+      throw pendingError("City failed schema validation.", 422, { errors });
+    }
+    current.status = "approving";
+  });
+
+  const target = normalizeName(entry.city?.name);
+  const revision = { ...meta, reason: `approval of ${entry.id}` };
+  try {
+    await updateCountryFile(
+      entry.file,
+      (data) => {
+        data.cities = Array.isArray(data.cities) ? data.cities : [];
+        if (data.cities.some((city) => normalizeName(city?.name) === target)) {
+          throw pendingError("Country file already contains this city.", 409);
+        }
+        data.cities.push(entry.city);
+        sortCities(data.cities);
+      },
+      revision,
+      { initial: () => ({ name: entry.country || "", cities: [] }) }
+    );
+  } catch (err) {
+    await updatePendingEntry(id, (current) => {
+      if (current.status === "approving") current.status = "pending";
+    }).catch((releaseErr) => console.error(releaseErr));
+    throw err;
+  }
+
+  let approved;
+  try {
+    for (const [lang, city] of Object.entries(entry.translations || {})) {
+      await writeCityTranslation(entry.file, lang, { ...city, name: entry.city.name }, revision);
+    }
+  } finally {
+    // The city is public now, so the entry is approved even if a translation failed.
+    approved = await updatePendingEntry(id, (current) => {
+      assertOpen(current, "approving");
+      current.status = "approved";
+      current.reviewedBy = reviewer;
+      current.reviewedAt = new Date().toISOString();
+    });
+  }
+
+  return approved;
+}
+
+export async function rejectPendingCity(id, reviewer, reason) {
+  return updatePendingEntry(id, (entry) => {
+    assertOpen(entry);
+    entry.status = "rejected";
+    entry.reviewedBy = reviewer;
+    entry.reviewedAt = new Date().toISOString();
+    if (reason) entry.reason = String(reason);
+  });
+}
@@ -0,0 +1,197 @@
+import { normalizeName } from "./normalize.js";
+import {
+  getCountryFile,
+  listCountryFiles,
+  onCountryFileChange,
+  isLocaleCountryFile,
+  parseCountryFileName,
+  DEFAULT_LEVEL
+} from "./countryRepository.js";
+
+const SECTION_WEIGHT = {
+  city: 3,
+  places: 2,
+  hidden_gems: 2,
+  interests: 1.5,
+  city_events: 1.5,
+  local_food_tip: 1
+};
+
+const fileEntries = new Map();
+let loaded = false;
+let loading = null;
+
+function tokenize(value) {
+  return normalizeName(value)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function makeEntry(base, section, name, description, extra = {}) {
+  const title = String(name || "").trim();
+  const text = String(description || "").trim();
+  if (!title && !text) return null;
+  return {
+    ...base,
+    section,
+    ...extra,
+    name: title,
+    description: text,
+    normalizedName: normalizeName(title),
+    normalizedText: normalizeName(text)
+  };
+}
+
+function buildEntriesForCountry(file, parsed) {
+  const entries = [];
+  const country = parsed?.name || "";
+  const level = parseCountryFileName(file)?.level || DEFAULT_LEVEL;
+  const cities = Array.isArray(parsed?.cities) ? parsed.cities : [];
+
+  for (const city of cities) {
+    const cityName = city?.name;
+    if (!cityName) continue;
+
+    const base = { file, level, country, city: cityName };
+    const push = (entry) => {
+      if (entry) entries.push(entry);
+    };
+
+    push(makeEntry(base, "city", cityName, ""));
+
+    for (const section of ["places", "hidden_gems"]) {
+      const items = Array.isArray(city[section]) ? city[section] : [];
+      for (const item of items) {
+        push(makeEntry(base, section, item?.name, item?.description, { map_link: item?.map_link || "" }));
+      }
+    }
+
+    const interests = city.interests && typeof city.interests === "object" ? city.interests : {};
+    for (const [category, items] of Object.entries(interests)) {
+      if (!Array.isArray(items)) continue;
+      for (const item of items) {
+        push(
+          makeEntry(base, "interests", item?.name, item?.description, {
+            category,
+            map_link: item?.map_link || ""
+          })
+        );
+      }
+    }
+
+    const events = Array.isArray(city.city_events) ? city.city_events : [];
+    for (const event of events) {
+      push(
+        makeEntry(base, "city_events", event?.name, event?.description, {
+          season: event?.season || "",
+          dates: event?.dates || ""
+        })
+      );
+    }
+
+    if (typeof city.local_food_tip === "string") {
+      push(makeEntry(base, "local_food_tip", "", city.local_food_tip));
+    }
+  }
+
+  return entries;
+}
+
+async function indexFile(file) {
+  try {
+    const entry = await getCountryFile(file);
+    fileEntries.set(file, buildEntriesForCountry(file, entry.data));
+  } catch (err) {
+    fileEntries.delete(file);
+    if (err.status !== 404) {
+      console.error(`Failed to index country file: ${file}`);
+    }
+  }
+}
+
+async function buildIndex() {
+  const files = await listCountryFiles();
+  fileEntries.clear();
+  for (const file of files) {
+    await indexFile(file);
+  }
+  loaded = true;
+}
+
+async function ensureIndex() {
+  if (loaded) return;
+  if (!loading) {
+    loading = buildIndex().finally(() => {
+      loading = null;
+    });
+  }
+  await loading;
+}
+
+onCountryFileChange((file) => {
+  if (!loaded || isLocaleCountryFile(file)) return;
+  indexFile(file).catch((err) => console.error(err));
+});
+
+function scoreTerm(entry, term) {
+  const name = entry.normalizedName;
+  if (name === term) return 100;
+  if (name.startsWith(term)) return 60;
+  if (name.includes(` ${term}`)) return 40;
+  if (name.includes(term)) return 25;
+  if (entry.normalizedText.includes(term)) return 10;
+  return 0;
+}
+
+function scoreEntry(entry, phrase, terms) {
+  let score = 0;
+  for (const term of terms) {
+    const termScore = scoreTerm(entry, term);
+    if (!termScore) return 0;
+    score += termScore;
+  }
+
+  if (terms.length > 1) {
+    if (entry.normalizedName === phrase) score += 100;
+    else if (entry.normalizedName.includes(phrase)) score += 50;
+    else if (entry.normalizedText.includes(phrase)) score += 20;
+  }
+
+  return score * (SECTION_WEIGHT[entry.section] || 1);
+}
+
+export async function searchPlaces(query, { limit = 20, offset = 0, file, section, level } = {}) {
+  await ensureIndex();
+
+  const terms = tokenize(query);
+  if (!terms.length) return { total: 0, results: [] };
+  const phrase = terms.join(" ");
+
+  const hits = [];
+  for (const [entryFile, entries] of fileEntries) {
+    if (file && entryFile !== file) continue;
+    for (const entry of entries) {
+      if (section && entry.section !== section) continue;
+      if (level && entry.level !== level) continue;
+      const score = scoreEntry(entry, phrase, terms);
+      if (score > 0) hits.push({ entry, score });
+    }
+  }
+
+  hits.sort(
+    (a, b) =>
+      b.score - a.score ||
+      a.entry.country.localeCompare(b.entry.country) ||
+      a.entry.city.localeCompare(b.entry.city) ||
+      a.entry.name.localeCompare(b.entry.name)
+  );
+
+  const results = hits.slice(offset, offset + limit).map(({ entry, score }) => {
+    const { normalizedName, normalizedText, ...rest } = entry;
+    return { ...rest, score: Math.round(score) };
+  });
+
+  return { total: hits.length, results };
+}
+
+export const SEARCH_SECTIONS = Object.keys(SECTION_WEIGHT);
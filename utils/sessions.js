@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import { storage } from "../storage/index.js";
+import { signUserToken } from "../middleware/auth.js";
+
+const REFRESH_TOKEN_TTL_MS = Number(
+  process.env.REFRESH_TOKEN_TTL_MS || 30 * 24 * 60 * 60 * 1000
+);
+
+/*
+ * A login creates a session that holds the refresh token:
+ * { userId, tokenHash, previousTokenHash, tokenVersion, userAgent, ip,
+ *   createdAt, lastUsedAt, expiresAt, revokedAt? }.
+ * The refresh token is "<sessionId>.<secret>" and only the secret's hash is
+ * stored. Every refresh rotates the secret; the previous one showing up
+ * again means the token was copied, so the session is revoked.
+ */
+
+function sessionError(message = "Invalid or expired session.", status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function matchesHash(hash, secret) {
+  if (!hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashSecret(secret), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function parseRefreshToken(value) {
+  const token = String(value || "");
+  const separator = token.indexOf(".");
+  if (separator < 1 || separator === token.length - 1) {
+    throw sessionError();
+  }
+  return { sessionId: token.slice(0, separator), secret: token.slice(separator + 1) };
+}
+
+function isLive(session, now) {
+  return !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+// Drops the user's ended sessions, including those from before their
+// token version last changed.
+async function pruneSessions(user, now) {
+  const sessions = await storage.sessions.list({ userId: user.id });
+  const ended = sessions.filter(
+    (record) => !isLive(record, now) || record.tokenVersion !== (user.tokenVersion || 0)
+  );
+  for (const session of ended) {
+    await storage.sessions.remove(session.id);
+  }
+}
+
+export function sessionMetaFromRequest(req) {
+  return { userAgent: req.get("user-agent") || "", ip: req.ip };
+}
+
+/**
+ * Starts a session after a successful login. Returns the access token and
+ * the refresh token.
+ */
+export async function createSession(user, { userAgent = "", ip = "" } = {}) {
+  const now = new Date();
+  await pruneSessions(user, now).catch((err) => console.error(err));
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await storage.sessions.create({
+    userId: user.id,
+    tokenHash: hashSecret(secret),
+    tokenVersion: user.tokenVersion || 0,
+    userAgent: String(userAgent).slice(0, 200),
+    ip,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString()
+  });
+  return { token: signUserToken(user), refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Trades a refresh token for a new access token and a new refresh token.
+ * The access token carries the user's current plan.
+ */
+export async function refreshSession(refreshToken) {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const existing = await storage.sessions.findById(sessionId);
+  const user = existing ? await storage.users.findById(existing.userId) : null;
+  if (!user) {
+    throw sessionError();
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  let reused = false;
+  const session = await storage.sessions.modify(sessionId, (record) => {
+    if (!isLive(record, now) || record.tokenVersion !== (user.tokenVersion || 0)) {
+      throw sessionError();
+    }
+    if (matchesHash(record.previousTokenHash, secret)) {
+      reused = true;
+      record.revokedAt = now.toISOString();
+      record.revokedReason = "refresh token reused";
+      return;
+    }
+    if (!matchesHash(record.tokenHash, secret)) {
+      throw sessionError();
+    }
+    record.previousTokenHash = record.tokenHash;
+    record.tokenHash = hashSecret(nextSecret);
+    record.lastUsedAt = now.toISOString();
+  });
+  if (!session || reused) {
+    throw sessionError();
+  }
+
+  return { user, token: signUserToken(user), refreshToken: `${sessionId}.${nextSecret}` };
+}
+
+/**
+ * Ends the session a refresh token belongs to. Unknown or already ended
+ * sessions are ignored, so logging out twice is harmless.
+ */
+export async function revokeSession(refreshToken) {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  await storage.sessions.modify(sessionId, (record) => {
+    if (record.revokedAt) return false;
+    if (!matchesHash(record.tokenHash, secret) && !matchesHash(record.previousTokenHash, secret)) {
+      return false;
+    }
+    record.revokedAt = new Date().toISOString();
+    record.revokedReason = "logout";
+  });
+}
+
+/**
+ * Logs the user out everywhere: bumping the token version invalidates every
+ * access token and refresh token issued so far.
+ */
+export async function revokeAllSessions(userId, reason = "logout all") {
+  const user = await storage.users.modify(userId, (record) => {
+    record.tokenVersion = (record.tokenVersion || 0) + 1;
+  });
+  if (!user) {
+    throw sessionError("User not found.", 404);
+  }
+
+  const now = new Date().toISOString();
+  const sessions = await storage.sessions.list({ userId });
+  for (const session of sessions.filter((record) => !record.revokedAt)) {
+    await storage.sessions.update(session.id, { revokedAt: now, revokedReason: reason });
+  }
+  return user;
+}
@@ -0,0 +1,294 @@
+import { storage } from "../storage/index.js";
+import { PLAN_RANK } from "../config/plans.js";
+
+function balanceError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * A subscription keeps its plan until the paid period ends, even with no
+ * tokens left.
+ */
+export function hasActiveSubscription(user, now = Date.now()) {
+  const subscription = user?.subscription;
+  return (
+    Boolean(subscription) &&
+    ["active", "past_due"].includes(subscription.status) &&
+    new Date(subscription.currentPeriodEnd).getTime() > now
+  );
+}
+
+/**
+ * Coerces `tokens` to a number and moves a user with no tokens left to the
+ * plan of their active subscription, or to free without one. Mutates
+ * `user`; returns true when anything changed.
+ */
+export function normalizeUserTokens(user) {
+  if (!user) return false;
+  let changed = false;
+  const current = Number(user.tokens || 0);
+  const tokens = Number.isFinite(current) ? current : 0;
+  if (tokens !== user.tokens) {
+    user.tokens = tokens;
+    changed = true;
+  }
+
+  if (user.tokens <= 0) {
+    const fallback = hasActiveSubscription(user) ? user.subscription.plan : "free";
+    if (user.tokens !== 0 || user.plan !== fallback) {
+      user.tokens = 0;
+      user.plan = fallback;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+function assertPlanUpgrade(user, plan) {
+  const currentRank = PLAN_RANK[user.plan] ?? 0;
+  const nextRank = PLAN_RANK[plan] ?? 0;
+  if (nextRank < currentRank) {
+    throw balanceError("Lower plan is not available while higher plan tokens remain.", 400);
+  }
+}
+
+/*
+ * Every balance change below is a single atomic storage.users.modify call,
+ * so concurrent requests cannot overwrite each other's debits or credits.
+ * Each change is followed by a token ledger entry recording the balance it
+ * left behind.
+ */
+
+function recordLedgerEntry(user, entry) {
+  return storage.ledger.create({
+    userId: user.id,
+    status: "committed",
+    ...entry,
+    balanceAfter: user.tokens,
+    createdAt: new Date().toISOString()
+  });
+}
+
+export async function syncUserBalance(userId) {
+  return storage.users.modify(userId, (user) => normalizeUserTokens(user));
+}
+
+/**
+ * Takes one token before an AI call. The returned reservation must be
+ * settled with commitReservation on success or releaseReservation on
+ * failure; an unsettled reservation (e.g. after a crash) stays charged.
+ */
+export async function reserveToken(userId, { reason, reference } = {}) {
+  let planBefore;
+  const user = await storage.users.modify(userId, (record) => {
+    normalizeUserTokens(record);
+    if (record.tokens <= 0) {
+      throw balanceError("No tokens remaining.", 403);
+    }
+    planBefore = record.plan;
+    record.tokens -= 1;
+    normalizeUserTokens(record);
+  });
+  if (!user) {
+    throw balanceError("User not found.", 404);
+  }
+
+  const reservation = await recordLedgerEntry(user, {
+    type: "usage",
+    amount: -1,
+    status: "reserved",
+    reason,
+    reference,
+    planBefore
+  });
+  return { reservation, user };
+}
+
+export async function commitReservation(reservationId) {
+  const entry = await storage.ledger.modify(reservationId, (record) => {
+    if (record.status !== "reserved") return false;
+    record.status = "committed";
+    record.settledAt = new Date().toISOString();
+  });
+  return entry ? storage.users.findById(entry.userId) : null;
+}
+
+/**
+ * Refunds a reserved token, restoring the plan the reservation changed
+ * when it took the last token.
+ */
+export async function releaseReservation(reservationId) {
+  let released = false;
+  const entry = await storage.ledger.modify(reservationId, (record) => {
+    if (record.status !== "reserved") return false;
+    record.status = "released";
+    record.settledAt = new Date().toISOString();
+    released = true;
+  });
+  if (!entry) return null;
+  if (!released) return storage.users.findById(entry.userId);
+
+  return storage.users.modify(entry.userId, (user) => {
+    normalizeUserTokens(user);
+    if (user.tokens === 0 && entry.planBefore) {
+      user.plan = entry.planBefore;
+    }
+    user.tokens += 1;
+  });
+}
+
+// Purchase references remembered per user, so a retried credit is a no-op.
+const CREDITED_PURCHASES_KEPT = 20;
+
+/**
+ * Adds purchased tokens. Crediting the same `reference` again (a retry
+ * after a failure) adds nothing and only writes a missing ledger entry.
+ */
+export async function creditTokens(userId, { tokens, plan, reason = "purchase", reference }) {
+  let credited = false;
+  const user = await storage.users.modify(userId, (record) => {
+    if (reference && record.creditedPurchases?.includes(reference)) return false;
+    normalizeUserTokens(record);
+    assertPlanUpgrade(record, plan);
+    record.tokens += tokens;
+    record.plan = plan;
+    if (reference) {
+      record.creditedPurchases = [...(record.creditedPurchases || []), reference].slice(
+        -CREDITED_PURCHASES_KEPT
+      );
+    }
+    credited = true;
+  });
+  if (!user) {
+    throw balanceError("User not found.", 404);
+  }
+
+  const ledgerId = reference ? `led_purchase_${reference}` : null;
+  if (credited || !(await storage.ledger.findById(ledgerId))) {
+    await recordLedgerEntry(user, {
+      ...(ledgerId ? { id: ledgerId } : {}),
+      type: "purchase",
+      amount: tokens,
+      reason,
+      reference,
+      plan
+    });
+  }
+  return user;
+}
+
+/**
+ * Adds free tokens (e.g. from a promo code). Unlike a purchase, a grant
+ * never lowers the plan; it only moves it up to `plan` when given.
+ */
+export async function grantTokens(userId, { tokens, plan, reason, reference }) {
+  const user = await storage.users.modify(userId, (record) => {
+    normalizeUserTokens(record);
+    record.tokens += tokens;
+    if (plan && (PLAN_RANK[plan] ?? 0) > (PLAN_RANK[record.plan] ?? 0)) {
+      record.plan = plan;
+    }
+  });
+  if (!user) {
+    throw balanceError("User not found.", 404);
+  }
+
+  await recordLedgerEntry(user, { type: "grant", amount: tokens, reason, reference, plan: user.plan });
+  return user;
+}
+
+/**
+ * Tops the balance up to a subscription's per-period `allowance`; tokens
+ * above it (e.g. from token packs) are kept. The plan only ever moves up.
+ */
+export async function refillTokens(userId, { allowance, plan, reason, reference }) {
+  let added = 0;
+  const user = await storage.users.modify(userId, (record) => {
+    normalizeUserTokens(record);
+    added = Math.max(allowance - record.tokens, 0);
+    record.tokens += added;
+    if ((PLAN_RANK[plan] ?? 0) > (PLAN_RANK[record.plan] ?? 0)) {
+      record.plan = plan;
+    }
+  });
+  if (!user) {
+    throw balanceError("User not found.", 404);
+  }
+
+  await recordLedgerEntry(user, { type: "refill", amount: added, reason, reference, plan });
+  return { user, added };
+}
+
+/**
+ * Takes back the tokens of a refunded or reversed purchase (at most what is
+ * left) and moves the user down to `plan` when it ranks below the current
+ * one.
+ */
+export async function revokeTokens(userId, { tokens, plan = "free", reason, reference }) {
+  let removed = 0;
+  const user = await storage.users.modify(userId, (record) => {
+    normalizeUserTokens(record);
+    removed = Math.min(Math.max(Number(tokens) || 0, 0), record.tokens);
+    record.tokens -= removed;
+    if ((PLAN_RANK[plan] ?? 0) < (PLAN_RANK[record.plan] ?? 0)) {
+      record.plan = plan;
+    }
+    normalizeUserTokens(record);
+  });
+  if (!user) {
+    throw balanceError("User not found.", 404);
+  }
+
+  await recordLedgerEntry(user, {
+    type: "refund",
+    amount: -removed,
+    reason,
+    reference,
+    plan: user.plan
+  });
+  return { user, removed };
+}
+
+/**
+ * Manual correction by an admin. `amount` may be negative but the balance
+ * cannot drop below zero.
+ */
+export async function adjustTokens(userId, amount, { reason, actor } = {}) {
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw balanceError("Amount must be a non-zero integer.", 400);
+  }
+
+  const user = await storage.users.modify(userId, (record) => {
+    normalizeUserTokens(record);
+    if (record.tokens + amount < 0) {
+      throw balanceError("Adjustment would make the balance negative.", 400);
+    }
+    record.tokens += amount;
+    normalizeUserTokens(record);
+  });
+  if (!user) {
+    throw balanceError("User not found.", 404);
+  }
+
+  const entry = await recordLedgerEntry(user, { type: "adjustment", amount, reason, actor });
+  return { user, entry };
+}
+
+/**
+ * Checks that buying `plan` is allowed, persisting the balance
+ * normalization when it is.
+ */
+export async function assertCanPurchase(userId, plan) {
+  const user = await storage.users.modify(userId, (record) => {
+    const changed = normalizeUserTokens(record);
+    assertPlanUpgrade(record, plan);
+    return changed;
+  });
+  if (!user) {
+    throw balanceError("User not found.", 404);
+  }
+  return user;
+}
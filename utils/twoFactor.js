@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import { storage } from "../storage/index.js";
+import { generateTotpSecret, otpauthUri, verifyTotp } from "./totp.js";
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Places To Visit";
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+/*
+ * Two-factor state lives on the user record:
+ * twoFactor: { enabled, secret, pendingSecret, enabledAt, lastStep,
+ *              recoveryCodeHashes }
+ * `pendingSecret` is a secret shown for enrollment but not yet confirmed
+ * with a code. `lastStep` is the time step of the last accepted code, so a
+ * code cannot be used twice.
+ */
+
+function twoFactorError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+export function isTwoFactorEnabled(user) {
+  return Boolean(user?.twoFactor?.enabled);
+}
+
+/**
+ * Creates a secret for the user to add to their authenticator app. It only
+ * takes effect once confirmed with a code.
+ */
+export async function beginEnrollment(userId) {
+  const secret = generateTotpSecret();
+  const user = await storage.users.modify(userId, (record) => {
+    if (isTwoFactorEnabled(record)) {
+      throw twoFactorError("Two-factor authentication is already enabled.", 409);
+    }
+    record.twoFactor = { enabled: false, pendingSecret: secret };
+  });
+  if (!user) {
+    throw twoFactorError("User not found.", 404);
+  }
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, account: user.email, issuer: TOTP_ISSUER })
+  };
+}
+
+/**
+ * Enables two-factor authentication with the first code from the app and
+ * returns the recovery codes. They are shown this once; only hashes are
+ * kept.
+ */
+export async function confirmEnrollment(userId, code) {
+  const recoveryCodes = newRecoveryCodes();
+  const user = await storage.users.modify(userId, (record) => {
+    const pendingSecret = record.twoFactor?.pendingSecret;
+    if (isTwoFactorEnabled(record) || !pendingSecret) {
+      throw twoFactorError("Start two-factor setup first.", 409);
+    }
+    const step = verifyTotp(pendingSecret, code);
+    if (step === null) {
+      throw twoFactorError("Invalid code.", 400);
+    }
+    record.twoFactor = {
+      enabled: true,
+      secret: pendingSecret,
+      enabledAt: new Date().toISOString(),
+      lastStep: step,
+      recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode)
+    };
+  });
+  if (!user) {
+    throw twoFactorError("User not found.", 404);
+  }
+  return recoveryCodes;
+}
+
+/**
+ * Checks an authenticator code or an unused recovery code and marks it
+ * used. Returns "totp" or "recovery"; throws 401 for a wrong code.
+ */
+export async function verifySecondFactor(userId, code) {
+  let method = null;
+  const user = await storage.users.modify(userId, (record) => {
+    const twoFactor = record.twoFactor;
+    if (!twoFactor?.enabled) {
+      throw twoFactorError("Two-factor authentication is not enabled.", 409);
+    }
+
+    const step = verifyTotp(twoFactor.secret, code);
+    if (step !== null && step > (twoFactor.lastStep ?? -1)) {
+      twoFactor.lastStep = step;
+      method = "totp";
+      return;
+    }
+
+    const hash = hashRecoveryCode(code || "");
+    const hashes = twoFactor.recoveryCodeHashes || [];
+    if (step === null && hashes.includes(hash)) {
+      twoFactor.recoveryCodeHashes = hashes.filter((entry) => entry !== hash);
+      method = "recovery";
+      return;
+    }
+    return false;
+  });
+  if (!user) {
+    throw twoFactorError("User not found.", 404);
+  }
+  if (!method) {
+    throw twoFactorError("Invalid code.", 401);
+  }
+  return method;
+}
+
+/**
+ * Turns two-factor authentication off. Needs the password and a current
+ * code (or a recovery code).
+ */
+export async function disableTwoFactor(userId, { password, code }) {
+  const user = await storage.users.findById(userId);
+  if (!user) {
+    throw twoFactorError("User not found.", 404);
+  }
+  if (!password || !(await bcrypt.compare(String(password), user.passwordHash || ""))) {
+    throw twoFactorError("Current password is incorrect.", 403);
+  }
+  await verifySecondFactor(userId, code);
+  await storage.users.update(userId, { twoFactor: undefined });
+}
+
+/**
+ * Replaces all recovery codes; needs a current code.
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  await verifySecondFactor(userId, code);
+  const recoveryCodes = newRecoveryCodes();
+  await storage.users.modify(userId, (record) => {
+    record.twoFactor.recoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+  });
+  return recoveryCodes;
+}
+
+export function twoFactorSummary(user) {
+  return {
+    enabled: isTwoFactorEnabled(user),
+    enabledAt: user?.twoFactor?.enabledAt || null,
+    recoveryCodesLeft: user?.twoFactor?.recoveryCodeHashes?.length || 0
+  };
+}
+
+/**
+ * Short-lived token proving the password step of a login. requireAuth
+ * does not accept it; only the second login step does.
+ */
+export function signLoginChallenge(user) {
+  return jwt.sign(
+    { userId: user.id, purpose: "2fa", tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+export async function verifyLoginChallenge(challengeToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken || ""), process.env.JWT_SECRET);
+  } catch {
+    throw twoFactorError("Login challenge expired. Please log in again.", 401);
+  }
+  const user = decoded.purpose === "2fa" ? await storage.users.findById(decoded.userId) : null;
+  if (!user || (user.tokenVersion || 0) !== decoded.tokenVersion) {
+    throw twoFactorError("Login challenge expired. Please log in again.", 401);
+  }
+  return user;
+}
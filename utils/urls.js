@@ -0,0 +1,21 @@
+/**
+ * Absolute URL of a page in the web client (CLIENT_URL, or this host).
+ */
+export function buildClientUrl(req, pathname) {
+  const base = process.env.CLIENT_URL || `${req.protocol}://${req.get("host")}`;
+  return new URL(pathname, base).toString();
+}
+
+/**
+ * Public base URL of this API, used for links in emails.
+ */
+export function buildPublicApiBase(req) {
+  const rawBase =
+    process.env.PUBLIC_API_URL ||
+    process.env.API_URL ||
+    process.env.RENDER_EXTERNAL_URL ||
+    `${req.protocol}://${req.get("host")}`;
+  const value = String(rawBase || "").trim();
+  const withProtocol = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  return withProtocol.replace(/\/+$/, "");
+}